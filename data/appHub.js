@@ -0,0 +1,73 @@
+import i18n from './i18n.js';
+
+/**
+ * Message bridge between the app hub and the embedded application (the
+ * `#app-frame` iframe), over `window.postMessage`. Every message is an object
+ * with the `protocol` and `version` below and a `type`:
+ *
+ * Hub to application (posted with the application origin as target origin):
+ *  - `init`: `{ locale, lang, dir, colorScheme }`, posted in response to each
+ *    `ready` message. `locale` is the site locale (`en`), `lang` its language
+ *    tag (`pt-BR`), `dir` the text direction and `colorScheme` is `light` or
+ *    `dark`.
+ *  - `colorScheme`: `{ colorScheme }`, posted when the color scheme changes.
+ *  - `evaluate`: `{ expression }`, an expression to evaluate, posted once
+ *    after `init` if the hub URL has an `evaluate` query parameter
+ *    (`/en/app/calc/?evaluate=det(A)`).
+ *
+ * Application to hub:
+ *  - `ready`: the application listens to messages (posted on load).
+ *  - `title`: `{ title }`, the application title, used as frame title.
+ *  - `error`: `{ message }`, an error to report to the user.
+ *
+ * The hub accepts messages only from the frame window and from the origins
+ * of the `appHub.apps[].href` URLs. Applications should accept messages only
+ * from the site origin.
+ */
+const bridge = {
+    protocol: 'mathjslab-app-bridge',
+    version: 1,
+};
+
+/**
+ * Time (in milliseconds) the hub waits for the selected application to load
+ * before showing the fallback panel.
+ */
+const loadTimeout = 15000;
+
+/**
+ * Local stub application implementing the bridge protocol, added to the app
+ * selector if the `APP_HUB_STUB` environment variable is `true`, to test the
+ * protocol offline. The stub page is always built.
+ */
+const stub = {
+    enabled: process.env.APP_HUB_STUB === 'true',
+    app: {
+        id: 'stub',
+        label: 'MathJSLab bridge stub',
+        shortLabel: 'Stub',
+        href: '/app-stub/',
+        description: 'Local application implementing the app hub message bridge.',
+    },
+};
+
+/**
+ * App hub pages of each locale: the hub page (`/<lang>/app/`), which selects
+ * the first application unless the URL or the browser storage selects
+ * another, and one permalink page per application (`/<lang>/app/<id>/`),
+ * with its own canonical URL and structured data.
+ */
+export default function () {
+    return {
+        bridge,
+        loadTimeout,
+        stub,
+        pages: i18n.locales.flatMap((lang) => {
+            const apps = [...i18n.pages[lang].appHub.apps, ...(stub.enabled ? [stub.app] : [])];
+            return [
+                { lang, url: `/${lang}/app/`, path: '', app: apps[0], apps, permalink: false },
+                ...apps.map((app) => ({ lang, url: `/${lang}/app/${app.id}/`, path: `${app.id}/`, app, apps, permalink: true })),
+            ];
+        }),
+    };
+}
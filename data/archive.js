@@ -0,0 +1,114 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { PDFDocument } from 'pdf-lib';
+import i18n from './i18n.js';
+
+/**
+ * Number of documents listed per archive page.
+ */
+const pageSize = 10;
+
+/**
+ * Directory of the `archiveItems[].file` paths (the input directory).
+ */
+const inputDirectory = fileURLToPath(new URL('../site/', import.meta.url));
+
+/**
+ * PDF metadata promises by file path and modification time: the archive data
+ * is also read by the citations data, and each PDF file is parsed once until
+ * it changes.
+ */
+const pdfCache = new Map();
+
+/**
+ * Reads the title, author, keywords, creation date, page count and file size
+ * of a PDF file (cached in `pdfCache`).
+ * @param {string} file PDF path relative to the input directory.
+ * @returns PDF metadata.
+ */
+const readPdf = (file) => {
+    const filePath = path.resolve(inputDirectory, file);
+    const cacheKey = `${filePath}@${fs.existsSync(filePath) ? fs.statSync(filePath).mtimeMs : ''}`;
+    if (!pdfCache.has(cacheKey)) {
+        pdfCache.set(cacheKey, parsePdf(filePath));
+    }
+    return pdfCache.get(cacheKey);
+};
+
+/**
+ * Parses a PDF file (see `readPdf`).
+ * @param {string} filePath PDF path.
+ * @returns PDF metadata.
+ */
+const parsePdf = async (filePath) => {
+    let bytes, pdf;
+    try {
+        bytes = await fs.promises.readFile(filePath);
+        pdf = await PDFDocument.load(bytes, { updateMetadata: false, ignoreEncryption: true });
+    } catch (err) {
+        throw new Error(`archive: cannot read PDF file ${filePath}: ${err.message}`, { cause: err });
+    }
+    const created = pdf.getCreationDate();
+    return {
+        title: pdf.getTitle() || '',
+        author: pdf.getAuthor() || '',
+        keywords: pdf.getKeywords() || '',
+        created: created ? created.toISOString().substring(0, 10) : '',
+        pageCount: pdf.getPageCount(),
+        fileSize: bytes.length,
+    };
+};
+
+/**
+ * Archive documents of each locale, with the metadata read from the PDF
+ * files, and the archive pages of each locale. The `pages` and `documents`
+ * arrays list the pages and documents of all locales to paginate templates,
+ * and the `files` array the URLs of the PDF files.
+ */
+export default async function () {
+    const files = [...new Set(Object.values(i18n.pages).flatMap((pageData) => pageData.archiveItems.map((item) => item.file)))];
+    const pdf = Object.fromEntries(await Promise.all(files.map(async (file) => [file, await readPdf(file)])));
+    const locales = Object.fromEntries(
+        i18n.locales.map((lang) => {
+            const documents = i18n.pages[lang].archiveItems.map((item) => {
+                const slug = item.file.replace(/^archive\//, '').replace(/\.pdf$/, '');
+                return {
+                    ...item,
+                    lang,
+                    slug,
+                    url: `/${lang}/archive/${slug}/`,
+                    title: item.title || pdf[item.file].title,
+                    pdf: pdf[item.file],
+                    citation: {
+                        id: `archive-${slug.replace(/\//g, '-')}`,
+                        title: item.title || pdf[item.file].title,
+                        issued: item.date || pdf[item.file].created,
+                        keyword: pdf[item.file].keywords,
+                        URL: item.href,
+                        ...item.citation,
+                    },
+                };
+            });
+            const pageCount = Math.max(1, Math.ceil(documents.length / pageSize));
+            const pageUrl = (pageNumber) => (pageNumber === 1 ? `/${lang}/archive/` : `/${lang}/archive/page/${pageNumber}/`);
+            const pages = Array.from({ length: pageCount }, (_value, index) => ({
+                lang,
+                pageNumber: index + 1,
+                pageCount,
+                url: pageUrl(index + 1),
+                previousUrl: index > 0 ? pageUrl(index) : '',
+                nextUrl: index + 1 < pageCount ? pageUrl(index + 2) : '',
+                documents: documents.slice(index * pageSize, (index + 1) * pageSize),
+            }));
+            return [lang, { documents, pages }];
+        }),
+    );
+    return {
+        pageSize,
+        files: files.map((file) => `/${file}`),
+        locales,
+        pages: Object.values(locales).flatMap((locale) => locale.pages),
+        documents: Object.values(locales).flatMap((locale) => locale.documents),
+    };
+}
@@ -0,0 +1,64 @@
+import i18n from './i18n.js';
+import EleventyUtil from '../script/helper/EleventyUtil.mjs';
+import BadgeUtil from '../script/helper/BadgeUtil.mjs';
+
+/**
+ * Badge data provider specification (see `script/helper/BadgeUtil.mjs`), set
+ * by the `BADGE_PROVIDER` environment variable. Defaults to the `badges.json`
+ * file in the project root.
+ */
+const providerSpec = process.env.BADGE_PROVIDER || 'json:badges.json';
+
+/**
+ * Badges without local data use the remote badge (the `src` URL) only if the
+ * `BADGE_REMOTE` environment variable is `true`. Otherwise they are omitted.
+ */
+const remote = process.env.BADGE_REMOTE === 'true';
+
+/**
+ * Badges not resolved (without local data and without remote fallback) are
+ * reported as warnings. In strict mode (`BADGE_STRICT=true` environment
+ * variable) the build fails if there are unresolved badges.
+ */
+const strict = process.env.BADGE_STRICT === 'true';
+
+/**
+ * Publication badges resolved at build time, keyed by their remote badge URL
+ * (`bySrc`). The `items` array lists the badges rendered locally (one SVG file
+ * per distinct badge).
+ */
+export default async function () {
+    const provider = await BadgeUtil.badgeProvider(providerSpec);
+    const bySrc = {};
+    const unresolved = [];
+    for (const lang of i18n.locales) {
+        for (const publication of i18n.pages[lang].publications) {
+            for (const badge of publication.badges || []) {
+                if (!(badge.src in bySrc)) {
+                    bySrc[badge.src] = await BadgeUtil.resolveBadge(badge, provider, remote);
+                    if (!bySrc[badge.src]) {
+                        unresolved.push(badge);
+                    }
+                }
+            }
+        }
+    }
+    for (const badge of unresolved) {
+        EleventyUtil.console.warn(`badges: no data for the ${badge.data} badge in ${provider.name}, badge omitted: ${badge.src}`);
+    }
+    if (unresolved.length > 0 && strict) {
+        throw new Error(`badges: ${unresolved.length} unresolved badge(s) in strict mode`);
+    }
+    const items = {};
+    for (const badge of Object.values(bySrc)) {
+        if (badge && badge.local) {
+            items[badge.id] = badge;
+        }
+    }
+    return {
+        provider: provider.name,
+        remote,
+        bySrc,
+        items: Object.values(items),
+    };
+}
@@ -0,0 +1,41 @@
+import fs from 'node:fs';
+import environment from './environment.js';
+import i18n from './i18n.js';
+import archive from './archive.js';
+
+/**
+ * The `site.json` data parsed, with the URL of the site root in the build
+ * environment.
+ */
+const site = { ...JSON.parse(fs.readFileSync(new URL('./site.json', import.meta.url), 'utf-8')), url: environment().baseUrl };
+
+/**
+ * Citation items (CSL-JSON, see `script/helper/CitationUtil.mjs`) of the
+ * publications and archive documents, listed once even if listed by several
+ * locales (the default locale data is used first). Relative URLs are resolved
+ * against the site URL. The `byId` object maps the item identifiers to items.
+ */
+export default async function () {
+    const { documents } = await archive();
+    const locales = [i18n.defaultLocale, ...i18n.locales.filter((lang) => lang !== i18n.defaultLocale)];
+    const sources = [
+        ...locales.flatMap((lang) => i18n.pages[lang].publications.filter((publication) => publication.citation)),
+        ...locales.flatMap((lang) => documents.filter((document) => document.lang === lang)),
+    ];
+    const byId = {};
+    for (const { citation } of sources) {
+        if (!citation.id) {
+            throw new Error(`citations: citation without identifier: ${citation.title}`);
+        }
+        if (!(citation.id in byId)) {
+            byId[citation.id] = {
+                ...citation,
+                URL: citation.URL ? new URL(citation.URL.replace(/^\//, ''), `${site.url}/`).href : '',
+            };
+        }
+    }
+    return {
+        items: Object.values(byId),
+        byId,
+    };
+}
@@ -0,0 +1,74 @@
+import fs from 'node:fs';
+import EleventyUtil from '../script/helper/EleventyUtil.mjs';
+
+/**
+ * The `site.json` data parsed.
+ */
+const site = JSON.parse(fs.readFileSync(new URL('./site.json', import.meta.url), 'utf-8'));
+
+/**
+ * Environments of the Netlify deploy contexts (`CONTEXT` environment
+ * variable).
+ */
+const netlifyContexts = {
+    production: 'production',
+    'deploy-preview': 'preview',
+    'branch-deploy': 'preview',
+    dev: 'local',
+};
+
+/**
+ * Environment variables, read with the `processEnv` filter.
+ */
+const env = EleventyUtil.utilFilters.processEnv;
+
+/**
+ * Joins URL path prefixes in a path prefix starting and ending with `/`
+ * (`/docs` and `api/` are `/docs/api/`). Empty prefixes are ignored.
+ * @param  {...string} prefixes Path prefixes.
+ * @returns {string} Path prefix.
+ */
+export function joinPathPrefix(...prefixes) {
+    return `/${prefixes.filter(Boolean).join('/')}/`.replace(/\/{2,}/g, '/');
+}
+
+/**
+ * Build environment, one of the `environments` of `site.json`: the
+ * `SITE_ENV` environment variable, or the environment of the Netlify deploy
+ * context, or `production`. The settings of the environment are:
+ *
+ *  - `url`: the site URL (origin), overriding the `url` of `site.json`, and
+ *    overridden by the `SITE_URL` environment variable;
+ *  - `urlVariables`: environment variables with the site URL, the first one
+ *    set overriding `url` (as the Netlify `DEPLOY_PRIME_URL` of the deploy
+ *    previews);
+ *  - `pathPrefix`: the path of the site under the origin (`/` by default),
+ *    overridden by the `PATH_PREFIX` environment variable, followed by the
+ *    `pathPrefix` of each build step (see `eleventy.config.mjs`);
+ *  - `sass`: the SASS output `style` (`expanded` or `compressed`) and the
+ *    inline `sourceMap` of the stylesheets;
+ *  - `serviceWorker`: whether the service worker is written and registered by
+ *    the pages (`true` by default; disabled locally, where it would serve
+ *    stale files between rebuilds);
+ *  - `robots`: the robots settings:
+ *     - `rules`: the `robots.txt` groups (`userAgent`, `allow` and `disallow`);
+ *     - `pages`: the robots directives of every page, overriding the `robots`
+ *       key of the pages (`null` to use the `robots` key of each page);
+ *     - `archive`: the robots directives of the archive PDF files, sent in the
+ *       `X-Robots-Tag` header (`null` for none).
+ *
+ * The `baseUrl` is the URL of the site root: the URL followed by the path
+ * prefix, without trailing slash. It replaces `site.url` in the templates (see
+ * `eleventy.config.mjs`).
+ */
+export default function () {
+    const name = env('SITE_ENV', netlifyContexts[env('CONTEXT')] || 'production');
+    if (!(name in site.environments)) {
+        throw new Error(`environment: unknown site environment "${name}" (available environments: ${Object.keys(site.environments).join(', ')})`);
+    }
+    const settings = site.environments[name];
+    const deployUrl = (settings.urlVariables || []).map((variable) => env(variable)).find(Boolean);
+    const url = env('SITE_URL', deployUrl || settings.url || site.url).replace(/\/+$/, '');
+    const pathPrefix = joinPathPrefix(env('PATH_PREFIX', settings.pathPrefix || '/'));
+    return { name, serviceWorker: true, ...settings, url, pathPrefix, baseUrl: url + pathPrefix.replace(/\/$/, '') };
+}
@@ -3,6 +3,7 @@ import licenseText from './i18n-licenseText.js';
 export default {
     locale: 'en',
     htmlLang: 'en',
+    dir: 'ltr',
     ogLocale: 'en_US',
     languageName: 'English',
     title: 'MathJSLab - browser-based MATLAB/Octave-like interpreter',
@@ -27,6 +28,14 @@ export default {
         launchShort: 'App',
         launchCalc: 'Open Calculator',
     },
+    search: {
+        label: 'Search',
+        placeholder: 'Search the site and the archive',
+        resultsLabel: 'Search results',
+        loading: 'Loading the search index…',
+        noResults: 'No results found.',
+        failed: 'The search index could not be loaded.',
+    },
     hero: {
         kicker: 'TypeScript numerical computing for the browser',
         heading: 'MathJSLab brings a mathematical lab to the web.',
@@ -37,14 +46,8 @@ export default {
         secondaryCta: 'View source on GitHub',
         installLabel: 'Install package',
         terminalTitle: 'Interactive session',
-        promptOne: 'A = [1 2; 3 4]',
-        outputOneMathML:
-            '<math xmlns="http://www.w3.org/1998/Math/MathML" display="block"><mrow><mi>A</mi><mo>=</mo><mo>[</mo><mtable><mtr><mtd><mn>1</mn></mtd><mtd><mn>2</mn></mtd></mtr><mtr><mtd><mn>3</mn></mtd><mtd><mn>4</mn></mtd></mtr></mtable><mo>]</mo></mrow></math>',
-        promptTwo: 'det(A)',
-        outputTwoMathML: '<math xmlns="http://www.w3.org/1998/Math/MathML" display="block"><mrow><mi>det</mi><mo>(</mo><mi>A</mi><mo>)</mo><mo>=</mo><mo>-</mo><mn>2</mn></mrow></math>',
-        promptThree: 'f = @(x) a*x^2+b*x+c',
-        outputThreeMathML:
-            '<math xmlns="http://www.w3.org/1998/Math/MathML" display="block"><mrow><mi>f</mi><mo>=</mo><mo>@</mo><mo>(</mo><mi>x</mi><mo>)</mo><mi>a</mi><mo>&#x2062;</mo><msup><mi>x</mi><mn>2</mn></msup><mo>+</mo><mi>b</mi><mo>&#x2062;</mo><mi>x</mi><mo>+</mo><mi>c</mi></mrow></math>',
+        openExampleLabel: 'Open this example in the calculator',
+        session: 'hero',
     },
     pipeline: {
         kicker: 'Execution flow',
@@ -136,82 +139,66 @@ export default {
             text: 'The TypeScript interpreter package is distributed through npm, mirrored through jsDelivr and licensed under MIT.',
             href: 'https://www.npmjs.com/package/mathjslab',
             icon: '/img/Npm-logo.svg',
+            citation: {
+                id: 'mathjslab',
+                type: 'software',
+                title: 'mathjslab',
+                author: [{ family: 'Lindau', given: 'Sergio' }],
+                issued: '2023',
+                publisher: 'Zenodo',
+                DOI: '10.5281/zenodo.8396265',
+                ISBN: '978-65-00-82338-7',
+                URL: 'https://www.npmjs.com/package/mathjslab',
+            },
             badges: [
                 {
                     alt: 'NPM Version',
+                    label: 'npm',
+                    data: 'mathjslab.version',
+                    color: 'blue',
                     src: 'https://img.shields.io/npm/v/mathjslab',
                     href: 'https://www.npmjs.com/package/mathjslab',
                 },
-                {
-                    alt: 'NPM Last Update',
-                    src: 'https://img.shields.io/npm/last-update/mathjslab',
-                    href: 'https://www.npmjs.com/package/mathjslab',
-                },
-                {
-                    alt: 'Website',
-                    src: 'https://img.shields.io/website?url=https%3A%2F%2Fmathjslab.com%2F',
-                    href: 'https://mathjslab.com/',
-                },
-                {
-                    alt: 'CircleCI',
-                    src: 'https://dl.circleci.com/status-badge/img/gh/MathJSLab/mathjslab/tree/main.svg?style=svg',
-                    href: 'https://dl.circleci.com/status-badge/redirect/gh/MathJSLab/mathjslab/tree/main',
-                },
                 {
                     alt: 'GitHub Created At',
+                    label: 'created at',
+                    data: 'mathjslab.createdAt',
+                    color: 'blue',
                     src: 'https://img.shields.io/github/created-at/MathJSLab/mathjslab',
                     href: 'https://github.com/MathJSLab/mathjslab',
                 },
                 {
                     alt: 'MIT License',
+                    label: 'license',
+                    data: 'mathjslab.license',
+                    color: 'green',
                     src: 'https://img.shields.io/npm/l/mathjslab',
                     href: 'https://github.com/MathJSLab/mathjslab/blob/main/LICENSE',
                 },
                 {
                     alt: 'DOI 10.5281/zenodo.8396265',
+                    label: 'DOI',
+                    message: '10.5281/zenodo.8396265',
+                    color: 'blue',
                     src: 'https://img.shields.io/badge/DOI-10.5281%2Fzenodo.8396265-blue?style=flat&link=https://doi.org/10.5281/zenodo.8396265',
                     href: 'https://doi.org/10.5281/zenodo.8396265',
                 },
                 {
                     alt: 'ISBN 978-65-00-82338-7',
+                    label: 'ISBN',
+                    message: '978-65-00-82338-7',
+                    color: 'green',
                     src: 'https://img.shields.io/badge/ISBN-978--65--00--82338--7-green?style=flat&link=https://grp.isbn-international.org/search/piid_solr?keys=978-65-00-82338-7',
                     href: 'https://grp.isbn-international.org/search/piid_solr?keys=978-65-00-82338-7',
                 },
                 {
                     alt: 'OpenAIRE',
+                    label: '',
+                    message: 'OpenAIRE',
+                    color: 'blue',
                     src: 'https://img.shields.io/badge/OpenAIRE-blue?style=flat&link=https://explore.openaire.eu/search/advanced/research-outcomes?f0=q&fv0=MathJSLab',
                     href: 'https://explore.openaire.eu/search/advanced/research-outcomes?f0=q&fv0=MathJSLab',
                 },
-                {
-                    alt: 'NPM Downloads',
-                    src: 'https://img.shields.io/npm/d18m/mathjslab',
-                    href: 'https://www.npmjs.com/package/mathjslab',
-                },
-                {
-                    alt: 'NPM Downloads per week',
-                    src: 'https://img.shields.io/npm/dw/mathjslab',
-                    href: 'https://www.npmjs.com/package/mathjslab',
-                },
-                {
-                    alt: 'jsDelivr hits npm',
-                    src: 'https://img.shields.io/jsdelivr/npm/hy/mathjslab',
-                    href: 'https://www.jsdelivr.com/package/npm/mathjslab',
-                },
-                {
-                    alt: 'Libraries.io SourceRank',
-                    src: 'https://img.shields.io/librariesio/sourcerank/npm/mathjslab',
-                    href: 'https://libraries.io/npm/mathjslab/sourcerank',
-                },
-                {
-                    alt: 'NPM Unpacked Size',
-                    src: 'https://img.shields.io/npm/unpacked-size/mathjslab',
-                    href: 'https://www.npmjs.com/package/mathjslab',
-                },
-                {
-                    alt: 'NPM package minimized gzipped size',
-                    src: 'https://img.shields.io/bundlejs/size/mathjslab',
-                    href: 'https://www.npmjs.com/package/mathjslab',
-                },
             ],
         },
         {
@@ -220,52 +207,58 @@ export default {
             text: 'The browser application demonstrates the interpreter, is maintained on GitHub and has its own DOI and ISBN records.',
             href: 'https://github.com/MathJSLab/mathjslab-app',
             icon: '/img/Octicons-mark-github.svg',
+            citation: {
+                id: 'mathjslab-app',
+                type: 'software',
+                title: 'mathjslab-app',
+                author: [{ family: 'Lindau', given: 'Sergio' }],
+                issued: '2023',
+                publisher: 'Zenodo',
+                DOI: '10.5281/zenodo.8396263',
+                ISBN: '978-65-00-84828-1',
+                URL: 'https://github.com/MathJSLab/mathjslab-app',
+            },
             badges: [
-                {
-                    alt: 'Netlify Status',
-                    src: 'https://api.netlify.com/api/v1/badges/6cec5ea5-c2dd-4b90-a3c1-ff95c8d1f521/deploy-status',
-                    href: 'https://app.netlify.com/sites/mathjslab-app/deploys',
-                },
-                {
-                    alt: 'Website',
-                    src: 'https://img.shields.io/website?url=https%3A%2F%2Fmathjslab.com%2F',
-                    href: 'https://mathjslab.com/',
-                },
-                {
-                    alt: 'CircleCI',
-                    src: 'https://dl.circleci.com/status-badge/img/gh/MathJSLab/mathjslab-app/tree/main.svg?style=svg',
-                    href: 'https://dl.circleci.com/status-badge/redirect/gh/MathJSLab/mathjslab-app/tree/main',
-                },
                 {
                     alt: 'GitHub Created At',
+                    label: 'created at',
+                    data: 'mathjslab-app.createdAt',
+                    color: 'blue',
                     src: 'https://img.shields.io/github/created-at/MathJSLab/mathjslab-app',
                     href: 'https://github.com/MathJSLab/mathjslab-app',
                 },
                 {
                     alt: 'MIT License',
+                    label: 'License',
+                    message: 'MIT',
+                    color: 'brightgreen',
                     src: 'https://img.shields.io/badge/License-MIT-brightgreen.svg',
                     href: 'https://github.com/MathJSLab/mathjslab-app/blob/main/LICENSE',
                 },
                 {
                     alt: 'DOI 10.5281/zenodo.8396263',
+                    label: 'DOI',
+                    message: '10.5281/zenodo.8396263',
+                    color: 'blue',
                     src: 'https://img.shields.io/badge/DOI-10.5281%2Fzenodo.8396263-blue?style=flat&link=https://doi.org/10.5281/zenodo.8396263',
                     href: 'https://doi.org/10.5281/zenodo.8396263',
                 },
                 {
                     alt: 'ISBN 978-65-00-84828-1',
+                    label: 'ISBN',
+                    message: '978-65-00-84828-1',
+                    color: 'green',
                     src: 'https://img.shields.io/badge/ISBN-978--65--00--84828--1-green?style=flat&link=https://grp.isbn-international.org/search/piid_solr?keys=978-65-00-84828-1',
                     href: 'https://grp.isbn-international.org/search/piid_solr?keys=978-65-00-84828-1',
                 },
                 {
                     alt: 'OpenAIRE',
+                    label: '',
+                    message: 'OpenAIRE',
+                    color: 'blue',
                     src: 'https://img.shields.io/badge/OpenAIRE-blue?style=flat&link=https://explore.openaire.eu/search/advanced/research-outcomes?f0=q&fv0=MathJSLab',
                     href: 'https://explore.openaire.eu/search/advanced/research-outcomes?f0=q&fv0=MathJSLab',
                 },
-                {
-                    alt: 'jsDelivr hits',
-                    src: 'https://img.shields.io/jsdelivr/gh/hy/MathJSLab/mathjslab-app',
-                    href: 'https://cdn.jsdelivr.net/gh/MathJSLab/mathjslab-app/',
-                },
             ],
         },
         {
@@ -274,42 +267,50 @@ export default {
             text: 'The calculator application offers a simplified prompt interface hosted at calc.mathjslab.com, with its own DOI and project publication badges.',
             href: 'https://github.com/MathJSLab/mathjslab-calc',
             icon: '/img/Octicons-mark-github.svg',
+            citation: {
+                id: 'mathjslab-calc',
+                type: 'software',
+                title: 'mathjslab-calc',
+                author: [{ family: 'Lindau', given: 'Sergio' }],
+                issued: '2026',
+                publisher: 'Zenodo',
+                DOI: '10.5281/zenodo.21628416',
+                ISBN: '978-65-00-84828-1',
+                URL: 'https://github.com/MathJSLab/mathjslab-calc',
+            },
             badges: [
-                {
-                    alt: 'Netlify Status',
-                    src: 'https://api.netlify.com/api/v1/badges/17019e19-5270-42e0-b119-8c8b230f953f/deploy-status',
-                    href: 'https://app.netlify.com/projects/mathjslab-calc/deploys',
-                },
-                {
-                    alt: 'Website',
-                    src: 'https://img.shields.io/website?url=https%3A%2F%2Fcalc.mathjslab.com%2F',
-                    href: 'https://calc.mathjslab.com/',
-                },
                 {
                     alt: 'GitHub Created At',
+                    label: 'created at',
+                    data: 'mathjslab-calc.createdAt',
+                    color: 'blue',
                     src: 'https://img.shields.io/github/created-at/MathJSLab/mathjslab-calc',
                     href: 'https://github.com/MathJSLab/mathjslab-calc',
                 },
                 {
                     alt: 'MIT License',
+                    label: 'License',
+                    message: 'MIT',
+                    color: 'brightgreen',
                     src: 'https://img.shields.io/badge/License-MIT-brightgreen.svg',
                     href: 'https://github.com/MathJSLab/mathjslab-calc/blob/main/LICENSE',
                 },
                 {
                     alt: 'DOI 10.5281/zenodo.21628416',
+                    label: 'DOI',
+                    message: '10.5281/zenodo.21628416',
+                    color: 'blue',
                     src: 'https://img.shields.io/badge/DOI-10.5281%2Fzenodo.21628416-blue?style=flat&link=https://doi.org/10.5281/zenodo.21628416',
                     href: 'https://doi.org/10.5281/zenodo.21628416',
                 },
                 {
                     alt: 'ISBN 978-65-00-84828-1',
+                    label: 'ISBN',
+                    message: '978-65-00-84828-1',
+                    color: 'green',
                     src: 'https://img.shields.io/badge/ISBN-978--65--00--84828--1-green?style=flat&link=https://grp.isbn-international.org/search/piid_solr?keys=978-65-00-84828-1',
                     href: 'https://grp.isbn-international.org/search/piid_solr?keys=978-65-00-84828-1',
                 },
-                {
-                    alt: 'jsDelivr hits',
-                    src: 'https://img.shields.io/jsdelivr/gh/hy/MathJSLab/mathjslab-calc',
-                    href: 'https://cdn.jsdelivr.net/gh/MathJSLab/mathjslab-calc/',
-                },
             ],
         },
         {
@@ -318,42 +319,50 @@ export default {
             textHtml: 'The batch application provides a text-area interface with syntax highlighting for running <strong>MathJSLab</strong> commands in sequence.',
             href: 'https://github.com/MathJSLab/mathjslab-batch',
             icon: '/img/Octicons-mark-github.svg',
+            citation: {
+                id: 'mathjslab-batch',
+                type: 'software',
+                title: 'mathjslab-batch',
+                author: [{ family: 'Lindau', given: 'Sergio' }],
+                issued: '2026',
+                publisher: 'Zenodo',
+                DOI: '10.5281/zenodo.21680709',
+                ISBN: '978-65-00-84828-1',
+                URL: 'https://github.com/MathJSLab/mathjslab-batch',
+            },
             badges: [
-                {
-                    alt: 'Netlify Status',
-                    src: 'https://api.netlify.com/api/v1/badges/8de91465-3f1a-4348-bf3c-69d96d9a1616/deploy-status',
-                    href: 'https://app.netlify.com/projects/mathjslab-batch/deploys',
-                },
-                {
-                    alt: 'Website',
-                    src: 'https://img.shields.io/website?url=https%3A%2F%2Fmathjslab.com%2F',
-                    href: 'https://mathjslab.com/',
-                },
                 {
                     alt: 'GitHub Created At',
+                    label: 'created at',
+                    data: 'mathjslab-batch.createdAt',
+                    color: 'blue',
                     src: 'https://img.shields.io/github/created-at/MathJSLab/mathjslab-batch',
                     href: 'https://github.com/MathJSLab/mathjslab-batch',
                 },
                 {
                     alt: 'MIT License',
+                    label: 'License',
+                    message: 'MIT',
+                    color: 'brightgreen',
                     src: 'https://img.shields.io/badge/License-MIT-brightgreen.svg',
                     href: 'https://github.com/MathJSLab/mathjslab-batch/blob/main/LICENSE',
                 },
                 {
                     alt: 'DOI 10.5281/zenodo.21680709',
+                    label: 'DOI',
+                    message: '10.5281/zenodo.21680709',
+                    color: 'blue',
                     src: 'https://img.shields.io/badge/DOI-10.5281%2Fzenodo.21680709-blue?style=flat&link=https://doi.org/10.5281/zenodo.21680709',
                     href: 'https://doi.org/10.5281/zenodo.21680709',
                 },
                 {
                     alt: 'ISBN 978-65-00-84828-1',
+                    label: 'ISBN',
+                    message: '978-65-00-84828-1',
+                    color: 'green',
                     src: 'https://img.shields.io/badge/ISBN-978--65--00--84828--1-green?style=flat&link=https://grp.isbn-international.org/search/piid_solr?keys=978-65-00-84828-1',
                     href: 'https://grp.isbn-international.org/search/piid_solr?keys=978-65-00-84828-1',
                 },
-                {
-                    alt: 'jsDelivr hits',
-                    src: 'https://img.shields.io/jsdelivr/gh/hy/MathJSLab/mathjslab-batch',
-                    href: 'https://cdn.jsdelivr.net/gh/MathJSLab/mathjslab-batch/',
-                },
             ],
         },
     ],
@@ -363,31 +372,71 @@ export default {
         {
             group: '01',
             title: 'A methodological proposal that integrates symbolic problem-solving in physics with the MathJSLab software',
-            date: 'July 10, 2026',
+            date: '2026-07-10',
             descriptionHtml: 'English version of the paper on symbolic problem-solving in Physics and Mathematics education with <strong>MathJSLab</strong>.',
             language: 'English',
             href: '/archive/01/main-en.pdf',
             file: 'archive/01/main-en.pdf',
+            citation: {
+                type: 'manuscript',
+                author: [{ family: 'Lindau', given: 'Sergio' }],
+                language: 'en',
+            },
         },
         {
             group: '01',
             title: 'Uma proposta metodológica que articula a resolução literal de problemas de Física e o software MathJSLab',
-            date: '13 de maio de 2026',
+            date: '2026-05-13',
             descriptionHtml: 'Portuguese version of the paper on literal problem-solving in Physics and Mathematics education with <strong>MathJSLab</strong>.',
             language: 'Portuguese',
             href: '/archive/01/main-pt.pdf',
             file: 'archive/01/main-pt.pdf',
+            citation: {
+                type: 'manuscript',
+                author: [{ family: 'Lindau', given: 'Sergio' }],
+                language: 'pt-BR',
+            },
         },
         {
             group: '02',
             title: 'MathJSLab: Prova de conceito de computação científica no navegador e software como artefato acadêmico',
-            date: '4 de junho de 2026',
+            date: '2026-06-04',
             descriptionHtml: 'Portuguese paper presenting <strong>MathJSLab</strong> as browser-based scientific computing and publishable academic software.',
             language: 'Portuguese',
             href: '/archive/02/main-pt.pdf',
             file: 'archive/02/main-pt.pdf',
+            citation: {
+                type: 'manuscript',
+                author: [{ family: 'Lindau', given: 'Sergio' }],
+                language: 'pt-BR',
+            },
         },
     ],
+    cite: {
+        style: 'apa',
+        button: 'Cite',
+        copyLabel: 'Copy the citation',
+        copied: 'Citation copied',
+        failed: 'Copy failed',
+        files: 'Citation files',
+    },
+    archivePage: {
+        title: 'MathJSLab archive',
+        description: 'Papers and documents related to the MathJSLab project.',
+        allDocuments: 'All documents',
+        download: 'Download PDF',
+        language: 'Language',
+        pages: 'Pages',
+        pageCount: '{count, plural, one {# page} other {# pages}}',
+        fileSize: 'File size',
+        date: 'Date',
+        author: 'Author',
+        paginationLabel: 'Archive pages',
+        pageOf: 'Page {page} of {count}',
+        previous: 'Previous',
+        next: 'Next',
+        backToArchive: 'Back to the archive',
+    },
     resourcesTitle: 'Resources',
     resourcesLeadHtml:
         'Try the web applications from the app hub. Install the <a class="software-link npm-wordmark-link" href="https://www.npmjs.com/package/mathjslab" target="_blank" rel="noopener noreferrer"><img class="software-icon npm-wordmark-icon" src="/img/Npm-logo.svg" alt="npm"> package</a>, browse the organization profile on GitHub or consult the command help.',
@@ -407,6 +456,12 @@ export default {
         selectorLabel: 'Application selector',
         openExternalLabel: 'Open in new tab',
         frameTitle: 'Selected MathJSLab application',
+        appErrorLabel: 'Application error:',
+        fallbackTitle: 'Application unavailable',
+        fallbackMessage: 'The application could not be loaded. Check the network connection and try again, or open the application in a new tab.',
+        retryLabel: 'Try again',
+        unavailableLabel: 'unavailable',
+        appTitle: '{app} | MathJSLab apps',
         apps: [
             {
                 id: 'lab',
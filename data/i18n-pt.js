@@ -3,6 +3,7 @@ import licenseText from './i18n-licenseText.js';
 export default {
     locale: 'pt',
     htmlLang: 'pt-BR',
+    dir: 'ltr',
     ogLocale: 'pt_BR',
     languageName: 'Português',
     title: 'MathJSLab - interpretador estilo MATLAB/Octave no navegador',
@@ -27,6 +28,14 @@ export default {
         launchShort: 'App',
         launchCalc: 'Abrir Calculadora',
     },
+    search: {
+        label: 'Buscar',
+        placeholder: 'Buscar no site e no arquivo',
+        resultsLabel: 'Resultados da busca',
+        loading: 'Carregando o índice de busca…',
+        noResults: 'Nenhum resultado encontrado.',
+        failed: 'Não foi possível carregar o índice de busca.',
+    },
     hero: {
         kicker: 'Computação numérica em TypeScript para o navegador',
         heading: 'MathJSLab leva um laboratório matemático para a web.',
@@ -37,14 +46,8 @@ export default {
         secondaryCta: 'Ver código no GitHub',
         installLabel: 'Instalar pacote',
         terminalTitle: 'Sessão interativa',
-        promptOne: 'A = [1 2; 3 4]',
-        outputOneMathML:
-            '<math xmlns="http://www.w3.org/1998/Math/MathML" display="block"><mrow><mi>A</mi><mo>=</mo><mo>[</mo><mtable><mtr><mtd><mn>1</mn></mtd><mtd><mn>2</mn></mtd></mtr><mtr><mtd><mn>3</mn></mtd><mtd><mn>4</mn></mtd></mtr></mtable><mo>]</mo></mrow></math>',
-        promptTwo: 'det(A)',
-        outputTwoMathML: '<math xmlns="http://www.w3.org/1998/Math/MathML" display="block"><mrow><mi>det</mi><mo>(</mo><mi>A</mi><mo>)</mo><mo>=</mo><mo>-</mo><mn>2</mn></mrow></math>',
-        promptThree: 'f = @(x) a*x^2+b*x+c',
-        outputThreeMathML:
-            '<math xmlns="http://www.w3.org/1998/Math/MathML" display="block"><mrow><mi>f</mi><mo>=</mo><mo>@</mo><mo>(</mo><mi>x</mi><mo>)</mo><mi>a</mi><mo>&#x2062;</mo><msup><mi>x</mi><mn>2</mn></msup><mo>+</mo><mi>b</mi><mo>&#x2062;</mo><mi>x</mi><mo>+</mo><mi>c</mi></mrow></math>',
+        openExampleLabel: 'Abrir este exemplo na calculadora',
+        session: 'hero',
     },
     pipeline: {
         kicker: 'Fluxo de execução',
@@ -136,82 +139,66 @@ export default {
             text: 'O pacote interpretador em TypeScript é distribuído pelo npm, espelhado pelo jsDelivr e licenciado sob MIT.',
             href: 'https://www.npmjs.com/package/mathjslab',
             icon: '/img/Npm-logo.svg',
+            citation: {
+                id: 'mathjslab',
+                type: 'software',
+                title: 'mathjslab',
+                author: [{ family: 'Lindau', given: 'Sergio' }],
+                issued: '2023',
+                publisher: 'Zenodo',
+                DOI: '10.5281/zenodo.8396265',
+                ISBN: '978-65-00-82338-7',
+                URL: 'https://www.npmjs.com/package/mathjslab',
+            },
             badges: [
                 {
                     alt: 'Versão npm',
+                    label: 'npm',
+                    data: 'mathjslab.version',
+                    color: 'blue',
                     src: 'https://img.shields.io/npm/v/mathjslab',
                     href: 'https://www.npmjs.com/package/mathjslab',
                 },
-                {
-                    alt: 'Última atualização npm',
-                    src: 'https://img.shields.io/npm/last-update/mathjslab',
-                    href: 'https://www.npmjs.com/package/mathjslab',
-                },
-                {
-                    alt: 'Site',
-                    src: 'https://img.shields.io/website?url=https%3A%2F%2Fmathjslab.com%2F',
-                    href: 'https://mathjslab.com/',
-                },
-                {
-                    alt: 'CircleCI',
-                    src: 'https://dl.circleci.com/status-badge/img/gh/MathJSLab/mathjslab/tree/main.svg?style=svg',
-                    href: 'https://dl.circleci.com/status-badge/redirect/gh/MathJSLab/mathjslab/tree/main',
-                },
                 {
                     alt: 'Criado no GitHub em',
+                    label: 'created at',
+                    data: 'mathjslab.createdAt',
+                    color: 'blue',
                     src: 'https://img.shields.io/github/created-at/MathJSLab/mathjslab',
                     href: 'https://github.com/MathJSLab/mathjslab',
                 },
                 {
                     alt: 'Licença MIT',
+                    label: 'license',
+                    data: 'mathjslab.license',
+                    color: 'green',
                     src: 'https://img.shields.io/npm/l/mathjslab',
                     href: 'https://github.com/MathJSLab/mathjslab/blob/main/LICENSE',
                 },
                 {
                     alt: 'DOI 10.5281/zenodo.8396265',
+                    label: 'DOI',
+                    message: '10.5281/zenodo.8396265',
+                    color: 'blue',
                     src: 'https://img.shields.io/badge/DOI-10.5281%2Fzenodo.8396265-blue?style=flat&link=https://doi.org/10.5281/zenodo.8396265',
                     href: 'https://doi.org/10.5281/zenodo.8396265',
                 },
                 {
                     alt: 'ISBN 978-65-00-82338-7',
+                    label: 'ISBN',
+                    message: '978-65-00-82338-7',
+                    color: 'green',
                     src: 'https://img.shields.io/badge/ISBN-978--65--00--82338--7-green?style=flat&link=https://grp.isbn-international.org/search/piid_solr?keys=978-65-00-82338-7',
                     href: 'https://grp.isbn-international.org/search/piid_solr?keys=978-65-00-82338-7',
                 },
                 {
                     alt: 'OpenAIRE',
+                    label: '',
+                    message: 'OpenAIRE',
+                    color: 'blue',
                     src: 'https://img.shields.io/badge/OpenAIRE-blue?style=flat&link=https://explore.openaire.eu/search/advanced/research-outcomes?f0=q&fv0=MathJSLab',
                     href: 'https://explore.openaire.eu/search/advanced/research-outcomes?f0=q&fv0=MathJSLab',
                 },
-                {
-                    alt: 'Downloads npm',
-                    src: 'https://img.shields.io/npm/d18m/mathjslab',
-                    href: 'https://www.npmjs.com/package/mathjslab',
-                },
-                {
-                    alt: 'Downloads npm por semana',
-                    src: 'https://img.shields.io/npm/dw/mathjslab',
-                    href: 'https://www.npmjs.com/package/mathjslab',
-                },
-                {
-                    alt: 'jsDelivr hits npm',
-                    src: 'https://img.shields.io/jsdelivr/npm/hy/mathjslab',
-                    href: 'https://www.jsdelivr.com/package/npm/mathjslab',
-                },
-                {
-                    alt: 'SourceRank Libraries.io',
-                    src: 'https://img.shields.io/librariesio/sourcerank/npm/mathjslab',
-                    href: 'https://libraries.io/npm/mathjslab/sourcerank',
-                },
-                {
-                    alt: 'Tamanho descompactado npm',
-                    src: 'https://img.shields.io/npm/unpacked-size/mathjslab',
-                    href: 'https://www.npmjs.com/package/mathjslab',
-                },
-                {
-                    alt: 'Tamanho minimizado e compactado do pacote npm',
-                    src: 'https://img.shields.io/bundlejs/size/mathjslab',
-                    href: 'https://www.npmjs.com/package/mathjslab',
-                },
             ],
         },
         {
@@ -220,52 +207,58 @@ export default {
             text: 'A aplicação de navegador demonstra o interpretador, é mantida no GitHub e possui registros próprios de DOI e ISBN.',
             href: 'https://github.com/MathJSLab/mathjslab-app',
             icon: '/img/Octicons-mark-github.svg',
+            citation: {
+                id: 'mathjslab-app',
+                type: 'software',
+                title: 'mathjslab-app',
+                author: [{ family: 'Lindau', given: 'Sergio' }],
+                issued: '2023',
+                publisher: 'Zenodo',
+                DOI: '10.5281/zenodo.8396263',
+                ISBN: '978-65-00-84828-1',
+                URL: 'https://github.com/MathJSLab/mathjslab-app',
+            },
             badges: [
-                {
-                    alt: 'Status Netlify',
-                    src: 'https://api.netlify.com/api/v1/badges/6cec5ea5-c2dd-4b90-a3c1-ff95c8d1f521/deploy-status',
-                    href: 'https://app.netlify.com/sites/mathjslab-app/deploys',
-                },
-                {
-                    alt: 'Site',
-                    src: 'https://img.shields.io/website?url=https%3A%2F%2Fmathjslab.com%2F',
-                    href: 'https://mathjslab.com/',
-                },
-                {
-                    alt: 'CircleCI',
-                    src: 'https://dl.circleci.com/status-badge/img/gh/MathJSLab/mathjslab-app/tree/main.svg?style=svg',
-                    href: 'https://dl.circleci.com/status-badge/redirect/gh/MathJSLab/mathjslab-app/tree/main',
-                },
                 {
                     alt: 'Criado no GitHub em',
+                    label: 'created at',
+                    data: 'mathjslab-app.createdAt',
+                    color: 'blue',
                     src: 'https://img.shields.io/github/created-at/MathJSLab/mathjslab-app',
                     href: 'https://github.com/MathJSLab/mathjslab-app',
                 },
                 {
                     alt: 'Licença MIT',
+                    label: 'License',
+                    message: 'MIT',
+                    color: 'brightgreen',
                     src: 'https://img.shields.io/badge/License-MIT-brightgreen.svg',
                     href: 'https://github.com/MathJSLab/mathjslab-app/blob/main/LICENSE',
                 },
                 {
                     alt: 'DOI 10.5281/zenodo.8396263',
+                    label: 'DOI',
+                    message: '10.5281/zenodo.8396263',
+                    color: 'blue',
                     src: 'https://img.shields.io/badge/DOI-10.5281%2Fzenodo.8396263-blue?style=flat&link=https://doi.org/10.5281/zenodo.8396263',
                     href: 'https://doi.org/10.5281/zenodo.8396263',
                 },
                 {
                     alt: 'ISBN 978-65-00-84828-1',
+                    label: 'ISBN',
+                    message: '978-65-00-84828-1',
+                    color: 'green',
                     src: 'https://img.shields.io/badge/ISBN-978--65--00--84828--1-green?style=flat&link=https://grp.isbn-international.org/search/piid_solr?keys=978-65-00-84828-1',
                     href: 'https://grp.isbn-international.org/search/piid_solr?keys=978-65-00-84828-1',
                 },
                 {
                     alt: 'OpenAIRE',
+                    label: '',
+                    message: 'OpenAIRE',
+                    color: 'blue',
                     src: 'https://img.shields.io/badge/OpenAIRE-blue?style=flat&link=https://explore.openaire.eu/search/advanced/research-outcomes?f0=q&fv0=MathJSLab',
                     href: 'https://explore.openaire.eu/search/advanced/research-outcomes?f0=q&fv0=MathJSLab',
                 },
-                {
-                    alt: 'jsDelivr hits',
-                    src: 'https://img.shields.io/jsdelivr/gh/hy/MathJSLab/mathjslab-app',
-                    href: 'https://cdn.jsdelivr.net/gh/MathJSLab/mathjslab-app/',
-                },
             ],
         },
         {
@@ -274,42 +267,50 @@ export default {
             text: 'A aplicação calculadora oferece uma interface de prompt simplificada hospedada em calc.mathjslab.com, com DOI próprio e badges de publicação do projeto.',
             href: 'https://github.com/MathJSLab/mathjslab-calc',
             icon: '/img/Octicons-mark-github.svg',
+            citation: {
+                id: 'mathjslab-calc',
+                type: 'software',
+                title: 'mathjslab-calc',
+                author: [{ family: 'Lindau', given: 'Sergio' }],
+                issued: '2026',
+                publisher: 'Zenodo',
+                DOI: '10.5281/zenodo.21628416',
+                ISBN: '978-65-00-84828-1',
+                URL: 'https://github.com/MathJSLab/mathjslab-calc',
+            },
             badges: [
-                {
-                    alt: 'Status Netlify',
-                    src: 'https://api.netlify.com/api/v1/badges/17019e19-5270-42e0-b119-8c8b230f953f/deploy-status',
-                    href: 'https://app.netlify.com/projects/mathjslab-calc/deploys',
-                },
-                {
-                    alt: 'Site',
-                    src: 'https://img.shields.io/website?url=https%3A%2F%2Fcalc.mathjslab.com%2F',
-                    href: 'https://calc.mathjslab.com/',
-                },
                 {
                     alt: 'Criado no GitHub em',
+                    label: 'created at',
+                    data: 'mathjslab-calc.createdAt',
+                    color: 'blue',
                     src: 'https://img.shields.io/github/created-at/MathJSLab/mathjslab-calc',
                     href: 'https://github.com/MathJSLab/mathjslab-calc',
                 },
                 {
                     alt: 'Licença MIT',
+                    label: 'License',
+                    message: 'MIT',
+                    color: 'brightgreen',
                     src: 'https://img.shields.io/badge/License-MIT-brightgreen.svg',
                     href: 'https://github.com/MathJSLab/mathjslab-calc/blob/main/LICENSE',
                 },
                 {
                     alt: 'DOI 10.5281/zenodo.21628416',
+                    label: 'DOI',
+                    message: '10.5281/zenodo.21628416',
+                    color: 'blue',
                     src: 'https://img.shields.io/badge/DOI-10.5281%2Fzenodo.21628416-blue?style=flat&link=https://doi.org/10.5281/zenodo.21628416',
                     href: 'https://doi.org/10.5281/zenodo.21628416',
                 },
                 {
                     alt: 'ISBN 978-65-00-84828-1',
+                    label: 'ISBN',
+                    message: '978-65-00-84828-1',
+                    color: 'green',
                     src: 'https://img.shields.io/badge/ISBN-978--65--00--84828--1-green?style=flat&link=https://grp.isbn-international.org/search/piid_solr?keys=978-65-00-84828-1',
                     href: 'https://grp.isbn-international.org/search/piid_solr?keys=978-65-00-84828-1',
                 },
-                {
-                    alt: 'Acessos jsDelivr',
-                    src: 'https://img.shields.io/jsdelivr/gh/hy/MathJSLab/mathjslab-calc',
-                    href: 'https://cdn.jsdelivr.net/gh/MathJSLab/mathjslab-calc/',
-                },
             ],
         },
         {
@@ -318,42 +319,50 @@ export default {
             textHtml: 'A aplicação em lote oferece uma interface em área de texto com realce de sintaxe para executar comandos <strong>MathJSLab</strong> em sequência.',
             href: 'https://github.com/MathJSLab/mathjslab-batch',
             icon: '/img/Octicons-mark-github.svg',
+            citation: {
+                id: 'mathjslab-batch',
+                type: 'software',
+                title: 'mathjslab-batch',
+                author: [{ family: 'Lindau', given: 'Sergio' }],
+                issued: '2026',
+                publisher: 'Zenodo',
+                DOI: '10.5281/zenodo.21680709',
+                ISBN: '978-65-00-84828-1',
+                URL: 'https://github.com/MathJSLab/mathjslab-batch',
+            },
             badges: [
-                {
-                    alt: 'Status Netlify',
-                    src: 'https://api.netlify.com/api/v1/badges/8de91465-3f1a-4348-bf3c-69d96d9a1616/deploy-status',
-                    href: 'https://app.netlify.com/projects/mathjslab-batch/deploys',
-                },
-                {
-                    alt: 'Site',
-                    src: 'https://img.shields.io/website?url=https%3A%2F%2Fmathjslab.com%2F',
-                    href: 'https://mathjslab.com/',
-                },
                 {
                     alt: 'Criado no GitHub em',
+                    label: 'created at',
+                    data: 'mathjslab-batch.createdAt',
+                    color: 'blue',
                     src: 'https://img.shields.io/github/created-at/MathJSLab/mathjslab-batch',
                     href: 'https://github.com/MathJSLab/mathjslab-batch',
                 },
                 {
                     alt: 'Licença MIT',
+                    label: 'License',
+                    message: 'MIT',
+                    color: 'brightgreen',
                     src: 'https://img.shields.io/badge/License-MIT-brightgreen.svg',
                     href: 'https://github.com/MathJSLab/mathjslab-batch/blob/main/LICENSE',
                 },
                 {
                     alt: 'DOI 10.5281/zenodo.21680709',
+                    label: 'DOI',
+                    message: '10.5281/zenodo.21680709',
+                    color: 'blue',
                     src: 'https://img.shields.io/badge/DOI-10.5281%2Fzenodo.21680709-blue?style=flat&link=https://doi.org/10.5281/zenodo.21680709',
                     href: 'https://doi.org/10.5281/zenodo.21680709',
                 },
                 {
                     alt: 'ISBN 978-65-00-84828-1',
+                    label: 'ISBN',
+                    message: '978-65-00-84828-1',
+                    color: 'green',
                     src: 'https://img.shields.io/badge/ISBN-978--65--00--84828--1-green?style=flat&link=https://grp.isbn-international.org/search/piid_solr?keys=978-65-00-84828-1',
                     href: 'https://grp.isbn-international.org/search/piid_solr?keys=978-65-00-84828-1',
                 },
-                {
-                    alt: 'Acessos jsDelivr',
-                    src: 'https://img.shields.io/jsdelivr/gh/hy/MathJSLab/mathjslab-batch',
-                    href: 'https://cdn.jsdelivr.net/gh/MathJSLab/mathjslab-batch/',
-                },
             ],
         },
     ],
@@ -363,31 +372,71 @@ export default {
         {
             group: '01',
             title: 'Uma proposta metodológica que articula a resolução literal de problemas de Física e o software MathJSLab',
-            date: '13 de maio de 2026',
+            date: '2026-05-13',
             descriptionHtml: 'Versão em português do artigo sobre resolução literal de problemas no ensino de Física e Matemática com o <strong>MathJSLab</strong>.',
             language: 'Português',
             href: '/archive/01/main-pt.pdf',
             file: 'archive/01/main-pt.pdf',
+            citation: {
+                type: 'manuscript',
+                author: [{ family: 'Lindau', given: 'Sergio' }],
+                language: 'pt-BR',
+            },
         },
         {
             group: '01',
             title: 'A methodological proposal that integrates symbolic problem-solving in physics with the MathJSLab software',
-            date: 'July 10, 2026',
+            date: '2026-07-10',
             descriptionHtml: 'Versão em inglês do artigo sobre resolução simbólica de problemas no ensino de Física e Matemática com o <strong>MathJSLab</strong>.',
             language: 'Inglês',
             href: '/archive/01/main-en.pdf',
             file: 'archive/01/main-en.pdf',
+            citation: {
+                type: 'manuscript',
+                author: [{ family: 'Lindau', given: 'Sergio' }],
+                language: 'en',
+            },
         },
         {
             group: '02',
             title: 'MathJSLab: Prova de conceito de computação científica no navegador e software como artefato acadêmico',
-            date: '4 de junho de 2026',
+            date: '2026-06-04',
             descriptionHtml: 'Artigo em português que apresenta o <strong>MathJSLab</strong> como computação científica no navegador e software publicável como artefato acadêmico.',
             language: 'Português',
             href: '/archive/02/main-pt.pdf',
             file: 'archive/02/main-pt.pdf',
+            citation: {
+                type: 'manuscript',
+                author: [{ family: 'Lindau', given: 'Sergio' }],
+                language: 'pt-BR',
+            },
         },
     ],
+    cite: {
+        style: 'abnt',
+        button: 'Citar',
+        copyLabel: 'Copiar a referência',
+        copied: 'Referência copiada',
+        failed: 'Falha ao copiar',
+        files: 'Arquivos de citação',
+    },
+    archivePage: {
+        title: 'Arquivo do MathJSLab',
+        description: 'Artigos e documentos relacionados ao projeto MathJSLab.',
+        allDocuments: 'Todos os documentos',
+        download: 'Baixar PDF',
+        language: 'Idioma',
+        pages: 'Páginas',
+        pageCount: '{count, plural, one {# página} other {# páginas}}',
+        fileSize: 'Tamanho do arquivo',
+        date: 'Data',
+        author: 'Autor',
+        paginationLabel: 'Páginas do arquivo',
+        pageOf: 'Página {page} de {count}',
+        previous: 'Anterior',
+        next: 'Próxima',
+        backToArchive: 'Voltar ao arquivo',
+    },
     resourcesTitle: 'Links úteis',
     resourcesLeadHtml:
         'Experimente os aplicativos web pelo hub de aplicativos. Instale o <a class="software-link npm-wordmark-link" href="https://www.npmjs.com/package/mathjslab" target="_blank" rel="noopener noreferrer">pacote <img class="software-icon npm-wordmark-icon" src="/img/Npm-logo.svg" alt="npm"></a>, navegue pelo perfil da organização no GitHub ou consulte a ajuda de comandos.',
@@ -407,6 +456,12 @@ export default {
         selectorLabel: 'Seletor de aplicativo',
         openExternalLabel: 'Abrir em nova aba',
         frameTitle: 'Aplicativo MathJSLab selecionado',
+        appErrorLabel: 'Erro do aplicativo:',
+        fallbackTitle: 'Aplicativo indisponível',
+        fallbackMessage: 'Não foi possível carregar o aplicativo. Verifique a conexão de rede e tente novamente, ou abra o aplicativo em uma nova aba.',
+        retryLabel: 'Tentar novamente',
+        unavailableLabel: 'indisponível',
+        appTitle: '{app} | Aplicativos MathJSLab',
         apps: [
             {
                 id: 'lab',
@@ -1,20 +1,73 @@
-import en from './i18n-en.js';
-import es from './i18n-es.js';
-import pt from './i18n-pt.js';
-import { IntlMessageFormat } from 'intl-messageformat';
-
-const source = {
-    en,
-    es,
-    pt,
-};
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import EleventyUtil from '../script/helper/EleventyUtil.mjs';
+import I18nUtil from '../script/helper/I18nUtil.mjs';
+
+const defaultLocale = 'en';
+
+/**
+ * Locale sources, one `i18n-<lang>.js` file per locale in this directory.
+ * Each file default exports an object with its `locale` code. Other files
+ * matching the name pattern (as `i18n-licenseText.js`) are not locales. A
+ * locale is added by adding its file: the pages, redirect, gateway, sitemap
+ * and alternate links of every locale derive from this list.
+ */
+const source = Object.fromEntries(
+    (
+        await Promise.all(
+            fs
+                .readdirSync(fileURLToPath(new URL('.', import.meta.url)))
+                .filter((file) => /^i18n-.+\.js$/.test(file))
+                .sort()
+                .map(async (file) => (await import(new URL(file, import.meta.url).href)).default),
+        )
+    )
+        .filter((values) => values && typeof values === 'object' && typeof values.locale === 'string')
+        .map((values) => [values.locale, values]),
+);
+
+if (!(defaultLocale in source)) {
+    throw new Error(`i18n: default locale "${defaultLocale}" source file (i18n-${defaultLocale}.js) not found`);
+}
+
+/**
+ * Text direction of each locale, the `dir` value of its source (`ltr` or
+ * `rtl`), emitted as the `dir` attribute of its pages and links. The theme
+ * uses logical CSS properties, so right-to-left locales need no stylesheet.
+ */
+const directions = Object.fromEntries(
+    Object.entries(source).map(([locale, values]) => {
+        if (values.dir !== 'ltr' && values.dir !== 'rtl') {
+            throw new Error(`i18n: invalid text direction "${values.dir}" in locale "${locale}" (expected "ltr" or "rtl")`);
+        }
+        return [locale, values.dir];
+    }),
+);
+
+/**
+ * Locale completeness issues of the sources against the default locale (see
+ * `script/helper/I18nUtil.mjs`), reported as warnings on each build. In strict
+ * mode (`I18N_STRICT=true` environment variable) the build fails if there are
+ * issues.
+ */
+const issues = I18nUtil.formatIssues(
+    I18nUtil.checkLocales(source, defaultLocale, {
+        templateDirectories: [fileURLToPath(new URL('../includes/', import.meta.url)), fileURLToPath(new URL('../site/', import.meta.url))],
+    }),
+);
+for (const issue of issues) {
+    EleventyUtil.console.warn(`i18n: ${issue}`);
+}
+if (issues.length > 0 && process.env.I18N_STRICT === 'true') {
+    throw new Error(`i18n: ${issues.length} locale completeness issue(s) found in strict mode`);
+}
 
 const formatValue = (value, locale, key = '') => {
     if (typeof value === 'string') {
         if (key.endsWith('Html') || key.endsWith('MathML')) {
             return value;
         }
-        return new IntlMessageFormat(value, locale).format();
+        return I18nUtil.formatStaticMessage(value, locale);
     }
     if (Array.isArray(value)) {
         return value.map((entry) => formatValue(entry, locale));
@@ -28,8 +81,10 @@ const formatValue = (value, locale, key = '') => {
 const pages = Object.fromEntries(Object.entries(source).map(([locale, values]) => [locale, formatValue(values, locale)]));
 
 export default {
-    defaultLocale: 'en',
+    defaultLocale,
     locales: Object.keys(source),
     languageNames: Object.fromEntries(Object.entries(source).map(([locale, values]) => [locale, values.languageName])),
+    directions,
     pages,
+    issues,
 };
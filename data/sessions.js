@@ -0,0 +1,9 @@
+/**
+ * Demonstration sessions evaluated at build time by the `mathjslab`
+ * interpreter (see the `mathjslabSession` filter). Each session is an ordered
+ * list of prompts evaluated by the same evaluator instance, so later prompts
+ * can use variables defined by earlier ones. Locales select a session by name.
+ */
+export default {
+    hero: ['A = [1 2; 3 4]', 'det(A)', 'f = @(x) a*x^2+b*x+c'],
+};
@@ -0,0 +1,136 @@
+import fs from 'node:fs';
+import environment from './environment.js';
+import i18n from './i18n.js';
+import appHub from './appHub.js';
+
+/**
+ * The `site.json` data parsed, with the URL of the site root in the build
+ * environment.
+ */
+const site = { ...JSON.parse(fs.readFileSync(new URL('./site.json', import.meta.url), 'utf-8')), url: environment().baseUrl };
+
+/**
+ * Reference to a node by its `@id`.
+ * @param {string} id Node identifier.
+ * @returns {{'@id': string}} Reference.
+ */
+const ref = (id) => ({ '@id': id });
+
+/**
+ * Identifiers of the nodes shared by the pages.
+ */
+const ids = {
+    website: `${site.url}/#website`,
+    software: `${site.url}/#software`,
+    author: `${site.url}/#author`,
+    organization: `${site.url}/#organization`,
+};
+
+/**
+ * Structured data (schema.org JSON-LD) nodes rendered by the `jsonLd`
+ * shortcode (see `script/helper/EleventyUtil.mjs`). The nodes shared by the
+ * pages (`website`, `author` and `organization`) are defined once; the nodes
+ * with localized texts are listed by locale: the site `software`, the app
+ * hub applications (`apps`, by application identifier, including the stub
+ * application if enabled, and `appList`, the list of the applications) and
+ * the `publications`. The `ids` object has the
+ * identifiers of the shared nodes, referenced by the nodes of the templates.
+ */
+export default function () {
+    const website = {
+        '@type': 'WebSite',
+        '@id': ids.website,
+        url: `${site.url}/`,
+        name: site.title,
+        publisher: ref(ids.organization),
+    };
+    const author = {
+        '@type': 'Person',
+        '@id': ids.author,
+        name: 'Sergio Lindau',
+    };
+    const organization = {
+        '@type': 'Organization',
+        '@id': ids.organization,
+        name: site.title,
+        url: `${site.url}/`,
+        logo: {
+            '@type': 'ImageObject',
+            url: `${site.url}/img/mathjslab-logo.svg`,
+            width: 630,
+            height: 630,
+        },
+        sameAs: ['https://github.com/MathJSLab'],
+    };
+    const hubPages = appHub().pages;
+    const locales = i18n.locales.map((lang) => {
+        const pageData = i18n.pages[lang];
+        const software = {
+            '@type': 'SoftwareApplication',
+            '@id': ids.software,
+            name: site.title,
+            url: `${site.url}/${lang}/`,
+            description: pageData.description,
+            applicationCategory: 'EducationalApplication',
+            operatingSystem: 'Web',
+            inLanguage: pageData.htmlLang,
+            license: 'https://opensource.org/license/MIT',
+            offers: { '@type': 'Offer', price: 0 },
+            author: ref(ids.author),
+            publisher: ref(ids.organization),
+        };
+        const apps = Object.fromEntries(
+            hubPages
+                .find((hubPage) => hubPage.lang === lang)
+                .apps.map((app) => {
+                    const url = new URL(app.href.replace(/^\//, ''), `${site.url}/`).href;
+                    return [
+                        app.id,
+                        {
+                            '@type': 'SoftwareApplication',
+                            '@id': `${url}#software`,
+                            name: app.label,
+                            description: app.description,
+                            url,
+                            applicationCategory: 'EducationalApplication',
+                            operatingSystem: 'Web',
+                            isPartOf: ref(ids.software),
+                            publisher: ref(ids.organization),
+                        },
+                    ];
+                }),
+        );
+        const appList = {
+            '@type': 'ItemList',
+            '@id': `${site.url}/${lang}/app/#applications`,
+            name: pageData.appHub.title,
+            numberOfItems: Object.keys(apps).length,
+            itemListElement: Object.values(apps).map((app, index) => ({ '@type': 'ListItem', position: index + 1, item: app })),
+        };
+        const publications = pageData.publications
+            .filter((publication) => publication.citation && publication.citation.DOI)
+            .map((publication) => ({
+                '@type': 'SoftwareSourceCode',
+                '@id': `https://doi.org/${publication.citation.DOI}`,
+                name: publication.name,
+                description: publication.text || (publication.textHtml || '').replace(/<[^>]*>/g, ''),
+                url: publication.href,
+                identifier: publication.citation.DOI,
+                sameAs: `https://doi.org/${publication.citation.DOI}`,
+                datePublished: publication.citation.issued,
+                author: ref(ids.author),
+                isPartOf: ref(ids.software),
+            }));
+        return [lang, { software, apps, appList, publications }];
+    });
+    return {
+        ids,
+        website,
+        author,
+        organization,
+        software: Object.fromEntries(locales.map(([lang, nodes]) => [lang, nodes.software])),
+        apps: Object.fromEntries(locales.map(([lang, nodes]) => [lang, nodes.apps])),
+        appList: Object.fromEntries(locales.map(([lang, nodes]) => [lang, nodes.appList])),
+        publications: Object.fromEntries(locales.map(([lang, nodes]) => [lang, nodes.publications])),
+    };
+}
@@ -1,7 +1,8 @@
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
-import eleventyConfig, { config as eleventyOptions } from './eleventy.config.mjs';
+import { steps, configFactory } from './eleventy.config.mjs';
+import environment from './data/environment.js';
 import EleventyUtil from './script/helper/EleventyUtil.mjs';
 
 /**
@@ -14,14 +15,52 @@ const scriptName = path.basename(fileURLToPath(import.meta.url));
  */
 const site = JSON.parseFileSync(path.resolve('.', 'data', 'site.json'));
 
+/**
+ * Build environment (see `data/environment.js`).
+ */
+const buildEnvironment = environment();
+
+/**
+ * Parses the steps selected in the command line by name or one-based
+ * position:
+ *
+ * ```
+ * node eleventy.build.mjs [(--step|-s) <name|position>]...
+ * ```
+ *
+ * All steps are run if none is selected.
+ * @param {string[]} args Command line arguments (after the script path).
+ * @returns {string[]} Step selectors.
+ */
+function parseArguments(args) {
+    const selectors = [];
+    for (let i = 0; i < args.length; i++) {
+        const option = args[i];
+        let selector;
+        if (option === '--step' || option === '-s') {
+            selector = args[++i];
+        } else if (option.startsWith('--step=')) {
+            selector = option.substring('--step='.length);
+        } else {
+            throw new Error(`invalid command line argument: ${option} (usage: node ${scriptName} [(--step|-s) <name|position>]...)`);
+        }
+        if (!selector || selector.startsWith('-')) {
+            throw new Error(`missing step name or position in command line argument: ${option}`);
+        }
+        selectors.push(selector);
+    }
+    return selectors;
+}
+
 /**
  * Run Eleventy static build.
  */
-EleventyUtil.console.log(`Building ${site.title} site <${site.url}> repository (build script: ${scriptName}) ...`);
-EleventyUtil.console.log(`Running step01 ...`);
-EleventyUtil.run(eleventyConfig, eleventyOptions, () => {
-    EleventyUtil.console.log(`Running step01 done.`);
-    EleventyUtil.console.log(`Building ${site.title} site <${site.url}> repository (build script: ${scriptName}) done.`);
-});
-// .then()
-// .catch();
+EleventyUtil.console.log(`Building ${site.title} site <${buildEnvironment.baseUrl}/> repository (${buildEnvironment.name} environment, build script: ${scriptName}) ...`);
+try {
+    const report = await EleventyUtil.runSteps(EleventyUtil.selectSteps(steps, parseArguments(process.argv.slice(2))), configFactory);
+    EleventyUtil.console.table(report.map(({ name, duration }) => ({ step: name, seconds: Number((duration / 1000).toFixed(2)) })));
+    EleventyUtil.console.log(`Building ${site.title} site <${buildEnvironment.baseUrl}/> repository (${buildEnvironment.name} environment, build script: ${scriptName}) done.`);
+} catch (err) {
+    EleventyUtil.console.error(err.message);
+    process.exitCode = 1;
+}
@@ -1,30 +1,161 @@
 import path from 'node:path';
+import { HtmlBasePlugin } from '@11ty/eleventy';
 
+import environment, { joinPathPrefix } from './data/environment.js';
 import EleventyUtil from './script/helper/EleventyUtil.mjs';
+import CitationUtil from './script/helper/CitationUtil.mjs';
+import I18nUtil from './script/helper/I18nUtil.mjs';
+import ImageUtil from './script/helper/ImageUtil.mjs';
+import LinkUtil from './script/helper/LinkUtil.mjs';
+import OgImageUtil from './script/helper/OgImageUtil.mjs';
+import PwaUtil from './script/helper/PwaUtil.mjs';
+import SearchUtil from './script/helper/SearchUtil.mjs';
+import SeoUtil from './script/helper/SeoUtil.mjs';
+import SitemapUtil from './script/helper/SitemapUtil.mjs';
+import StructuredDataUtil from './script/helper/StructuredDataUtil.mjs';
 
 const eleventyBuild = JSON.parseFileSync(path.resolve('.', 'eleventy.build.json'));
 
-const getStepOption = (step) => ({
-    ...eleventyBuild.build.eleventy.steps[step].options,
-    ...eleventyBuild.build.eleventy.commonOptions,
+/**
+ * Build environment (see `data/environment.js`): the site URL and the path
+ * prefix of the site, under which are the path prefixes of the steps.
+ */
+const buildEnvironment = environment();
+
+/**
+ * Build steps declared in `eleventy.build.json`. The options of each step
+ * override the common options. The path prefix of a step is the path prefix
+ * of the build environment followed by the `pathPrefix` of the step, and its
+ * `baseUrl` the URL of the step root (without trailing slash).
+ */
+export const steps = eleventyBuild.build.eleventy.steps.map((step, index) => {
+    const pathPrefix = joinPathPrefix(buildEnvironment.pathPrefix, step.options?.pathPrefix);
+    return {
+        name: step.name || `step${String(index + 1).padStart(2, '0')}`,
+        passthroughCopy: step.passthroughCopy || [],
+        transformImage: step.transformImage || [],
+        picture: step.picture || null,
+        sass: step.sass || {},
+        ogImage: step.ogImage || null,
+        validateStructuredData: Boolean(step.validateStructuredData),
+        checkLinks: step.checkLinks || null,
+        seoAudit: step.seoAudit || null,
+        searchIndex: step.searchIndex || null,
+        serviceWorker: step.serviceWorker || null,
+        baseUrl: buildEnvironment.url + pathPrefix.replace(/\/$/, ''),
+        options: {
+            ...eleventyBuild.build.eleventy.commonOptions,
+            ...step.options,
+            pathPrefix,
+        },
+    };
 });
 
-export const config = getStepOption(0);
+/**
+ * Eleventy configuration function factory for a build step.
+ * @param {*} buildStep Build step.
+ * @returns Eleventy configuration function.
+ */
+export function configFactory(buildStep) {
+    const { options } = buildStep;
+    return async function (eleventyConfig) {
+        eleventyConfig.setInputDirectory(options.dir.input);
+        eleventyConfig.setDataDirectory(options.dir.data);
+        eleventyConfig.setIncludesDirectory(options.dir.includes);
+        eleventyConfig.setLayoutsDirectory(options.dir.layouts);
+        eleventyConfig.setOutputDirectory(options.dir.output);
 
-export default async function (eleventyConfig) {
-    eleventyConfig.setInputDirectory(config.dir.input);
-    eleventyConfig.setDataDirectory(config.dir.data);
-    eleventyConfig.setIncludesDirectory(config.dir.includes);
-    eleventyConfig.setLayoutsDirectory(config.dir.layouts);
-    eleventyConfig.setOutputDirectory(config.dir.output);
+        for (const directory of buildStep.passthroughCopy) {
+            eleventyConfig.addPassthroughCopy(`${options.dir.input}/${directory}`);
+        }
+        // Images generated from the `transformImage` entries of the step, available in the templates as the `images` global data (`eleventy-img` metadata by output basename).
+        const images = await EleventyUtil.transformImage(buildStep.transformImage, options);
+        eleventyConfig.addGlobalData('images', Object.fromEntries(images.map(({ image, metadata }) => [image.outputBasename || path.basename(image.src).split('.')[0], metadata])));
+        // Responsive images: the `image` shortcode and the transform of the `<img>` elements of the rendered pages.
+        if (buildStep.picture) {
+            ImageUtil.configAddPictureTools(eleventyConfig, options.dir, buildStep.picture);
+        }
+        // Open Graph images rendered by the `ogImage` filter. Their declared size is checked after the build.
+        if (buildStep.ogImage) {
+            EleventyUtil.configAddAsyncFilters(eleventyConfig, OgImageUtil.ogImageFilters(options.dir, buildStep.ogImage));
+        }
+        // The JSON-LD of the rendered pages is validated (a page with invalid structured data fails the build).
+        if (buildStep.validateStructuredData) {
+            StructuredDataUtil.configAddStructuredDataTransform(eleventyConfig);
+        }
+        // The `site.url` of the templates is the URL of the step root in the build environment (with the path prefix).
+        eleventyConfig.addGlobalData('site', { ...JSON.parseFileSync(path.resolve(options.dir.input, options.dir.data, 'site.json')), url: buildStep.baseUrl });
+        // Root-relative URLs of the HTML output are prefixed with the path prefix. URLs out of the HTML attributes use the `url` filter.
+        eleventyConfig.addPlugin(HtmlBasePlugin);
+        // Build step of the templates. With multiple steps, each step writes its `sitemap-<name>.xml` sitemap, listed by the `sitemap.xml` sitemap index.
+        eleventyConfig.addGlobalData('build', {
+            step: buildStep.name,
+            steps: steps.map((step) => step.name),
+            sitemaps: steps.length > 1 ? steps.map((step) => `sitemap-${step.name}.xml`) : [],
+        });
+        // Sitemap filters: the `lastmod` date of a page from the git history of its sources, and its `hreflang` alternates.
+        EleventyUtil.configAddEntries(eleventyConfig, SitemapUtil.sitemapFilters(options.dir), 'addFilter');
+        // Pages of the sitemap and of the SEO diagnostics page: the HTML pages, sorted by URL, except the pages with `"sitemap": false` in the data.
+        eleventyConfig.addCollection('sitemap', function (collectionApi) {
+            return collectionApi
+                .getAll()
+                .filter((item) => (item.outputPath || '').endsWith('.html') && item.data.sitemap !== false)
+                .sort((a, b) => a.url.localeCompare(b.url));
+        });
+        // After the build, the Open Graph images and the links are checked, and the SEO audit, the search index and the service worker are written, from the output files. The service worker precaches the search index.
+        eleventyConfig.on('eleventy.after', async function ({ directories }) {
+            if (buildStep.ogImage) {
+                const { pages, images } = OgImageUtil.checkOgImages(directories.output, options.pathPrefix);
+                EleventyUtil.console.log(`Open Graph images checked: ${pages} pages, ${images} images.`);
+            }
+            const siteUrl = buildStep.baseUrl;
+            if (buildStep.checkLinks) {
+                const { pages, links, external, unknown } = LinkUtil.checkLinks(directories.output, siteUrl, buildStep.checkLinks);
+                EleventyUtil.console.log(`Links checked: ${pages} pages, ${links} internal links, ${external} external links.`);
+                for (const url of unknown) {
+                    EleventyUtil.console.log(`External URL not in the link cache: ${url}`);
+                }
+            }
+            if (buildStep.seoAudit) {
+                const { file, pages, issues } = SeoUtil.writeSeoAudit(directories.output, siteUrl, buildStep.seoAudit);
+                EleventyUtil.console.log(`SEO audit ${file} written: ${pages} pages, ${issues} issues.`);
+            }
+            if (buildStep.searchIndex) {
+                for (const { file, documents, terms } of await SearchUtil.writeSearchIndex(directories.output, { ...buildStep.searchIndex, pathPrefix: options.pathPrefix })) {
+                    EleventyUtil.console.log(`Search index ${file} written: ${documents} documents, ${terms} terms.`);
+                }
+            }
+            if (buildStep.serviceWorker && buildEnvironment.serviceWorker) {
+                const { filename, cacheName, urls } = PwaUtil.writeServiceWorker(directories.output, buildStep.serviceWorker);
+                EleventyUtil.console.log(`Service worker ${filename} written: cache ${cacheName}, ${urls.length} precached files.`);
+            }
+        });
 
-    eleventyConfig.addPassthroughCopy('./site/img');
-    eleventyConfig.addPassthroughCopy('./site/archive');
-    EleventyUtil.configAddTemplateFormat(eleventyConfig, ['njk', 'scss'], '\\./site/');
+        // SASS options of the step and of the build environment (output style and source maps).
+        EleventyUtil.configSass(eleventyConfig, { ...buildStep.sass, ...buildEnvironment.sass });
+        EleventyUtil.configAddTemplateFormat(eleventyConfig, ['njk', 'scss'], `${EleventyUtil.escapeRegExp(options.dir.input)}/`);
 
-    EleventyUtil.configAddEntries(eleventyConfig, EleventyUtil.utilFilters, 'addFilter');
-    EleventyUtil.configAddEntries(eleventyConfig, EleventyUtil.utilShortcodes, 'addShortcode');
-    EleventyUtil.configAddRenderTemplateTools(eleventyConfig, true);
+        EleventyUtil.configAddEntries(eleventyConfig, EleventyUtil.utilFilters, 'addFilter');
+        EleventyUtil.configAddEntries(eleventyConfig, CitationUtil.citationFilters, 'addFilter');
+        EleventyUtil.configAddEntries(eleventyConfig, I18nUtil.i18nFilters, 'addFilter');
+        EleventyUtil.configAddAsyncFilters(eleventyConfig, EleventyUtil.utilAsyncFilters);
+        EleventyUtil.configAddEntries(eleventyConfig, EleventyUtil.utilShortcodes, 'addShortcode');
+        EleventyUtil.configAddEntries(eleventyConfig, I18nUtil.i18nShortcodes, 'addShortcode');
+        EleventyUtil.configAddRenderTemplateTools(eleventyConfig, true);
 
-    return config;
+        return options;
+    };
+}
+
+/**
+ * Eleventy configuration function of the Eleventy command line (`serve` and
+ * `watch` scripts). The step is selected by name or one-based position in the
+ * `ELEVENTY_STEP` environment variable (the first step by default) when the
+ * function runs, not when this file is imported by the build script.
+ * @param {*} eleventyConfig Eleventy configuration.
+ * @returns Options of the step.
+ */
+export default async function (eleventyConfig) {
+    const step = EleventyUtil.selectSteps(steps, process.env.ELEVENTY_STEP ? [process.env.ELEVENTY_STEP] : [1])[0];
+    return configFactory(step)(eleventyConfig);
 }
@@ -0,0 +1,225 @@
+/**
+ * BadgeUtil.mjs
+ * =============
+ *
+ * This file contains tools to render static SVG badges (in the flat style of
+ * shields.io) at build time, with the badge values read from a badge data
+ * provider. A badge data provider is an object with an asynchronous `get`
+ * method that returns the value of a data key, or `undefined` if there is no
+ * value for the key:
+ *
+ * ```
+ * { name: string, get: async (key: string) => string | number | undefined }
+ * ```
+ *
+ * Providers are selected by a specification string:
+ *  - `json:<file>`: reads the values from a JSON file, with keys as dot
+ *    separated paths in the JSON object (the default is `json:badges.json`).
+ *  - `module:<file>`: the default export of a module, a provider or an
+ *    (asynchronous) function returning a provider.
+ *
+ * These tools were designed for use at build time in projects with Eleventy.
+ *
+ * MIT License, Copyright (c) 2016-2026 Sergio Lindau, mathjslab.com
+ */
+
+/**
+ * @module BadgeUtil
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import util from 'node:util';
+import crypto from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+
+/**
+ * Named badge colors (the shields.io palette).
+ */
+const badgeColors = {
+    brightgreen: '#4c1',
+    green: '#97ca00',
+    yellowgreen: '#a4a61d',
+    yellow: '#dfb317',
+    orange: '#fe7d37',
+    red: '#e05d44',
+    blue: '#007ec6',
+    grey: '#555',
+    lightgrey: '#9f9f9f',
+    success: '#4c1',
+    important: '#fe7d37',
+    critical: '#e05d44',
+    informational: '#007ec6',
+    inactive: '#9f9f9f',
+};
+
+/**
+ * Approximate character widths (in pixels) of the badge font (11px Verdana).
+ */
+const charWidths = [
+    [/[ijl.,:;|!'`]/, 3.5],
+    [/[ftrI()[\]{} \-/\\]/, 4.5],
+    [/[mwMW@%]/, 10.5],
+    [/[A-Z]/, 7.5],
+];
+
+/**
+ * Default character width (in pixels) of the badge font.
+ */
+const defaultCharWidth = 6.8;
+
+/**
+ * Computes the approximate width of a text in the badge font.
+ * @param {string} text Text.
+ * @returns {number} Width in pixels.
+ */
+function textWidth(text) {
+    return [...text].reduce((width, char) => width + (charWidths.find(([regExp]) => regExp.test(char)) || [null, defaultCharWidth])[1], 0);
+}
+
+/**
+ * Escapes the XML special characters of a text.
+ * @param {string} text Text.
+ * @returns {string} Escaped text.
+ */
+function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[char]);
+}
+
+/**
+ * Renders a static SVG badge. The label part is omitted if the label is
+ * empty.
+ * @param {Object} options Badge options.
+ * @param {string} options.label Label (left text).
+ * @param {string} options.message Message (right text).
+ * @param {string} options.color Message background color, named or CSS color.
+ * @param {string} options.labelColor Label background color, named or CSS color.
+ * @returns {{svg: string, width: number, height: number}} SVG markup and dimensions.
+ */
+function badgeSvg({ label = '', message, color = 'blue', labelColor = 'grey' }) {
+    if (message === undefined || message === null || message === '') {
+        throw new Error('badgeSvg: invalid badge message: ' + util.inspect(message, { compact: true, colors: true }));
+    }
+    label = String(label);
+    message = String(message);
+    const height = 20;
+    const labelWidth = label ? Math.round(textWidth(label)) + 10 : 0;
+    const messageWidth = Math.round(textWidth(message)) + 10;
+    const width = labelWidth + messageWidth;
+    const title = escapeXml(label ? `${label}: ${message}` : message);
+    const text = (value, x) => `<text x="${x}" y="15" fill="#010101" fill-opacity=".3">${escapeXml(value)}</text><text x="${x}" y="14">${escapeXml(value)}</text>`;
+    const svg = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" role="img" aria-label="${title}">`,
+        `<title>${title}</title>`,
+        '<linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>',
+        `<clipPath id="r"><rect width="${width}" height="${height}" rx="3" fill="#fff"/></clipPath>`,
+        '<g clip-path="url(#r)">',
+        label ? `<rect width="${labelWidth}" height="${height}" fill="${escapeXml(badgeColors[labelColor] || labelColor)}"/>` : '',
+        `<rect x="${labelWidth}" width="${messageWidth}" height="${height}" fill="${escapeXml(badgeColors[color] || color)}"/>`,
+        `<rect width="${width}" height="${height}" fill="url(#s)"/>`,
+        '</g>',
+        '<g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">',
+        label ? text(label, labelWidth / 2) : '',
+        text(message, labelWidth + messageWidth / 2),
+        '</g>',
+        '</svg>',
+    ].join('');
+    return { svg, width, height };
+}
+
+/**
+ * Creates a badge data provider reading a JSON file.
+ * @param {string} file JSON file path.
+ * @returns Badge data provider.
+ */
+function jsonBadgeProvider(file) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(path.resolve(file), 'utf-8'));
+    } catch (err) {
+        throw new Error(`jsonBadgeProvider: cannot read badge data file ${file}: ${err.message}`, { cause: err });
+    }
+    return {
+        name: `json:${file}`,
+        get: async function (key) {
+            return key.split('.').reduce((value, name) => (value !== undefined && value !== null ? value[name] : undefined), data);
+        },
+    };
+}
+
+/**
+ * Loads a badge data provider from a module.
+ * @param {string} file Module path.
+ * @returns Badge data provider.
+ */
+async function moduleBadgeProvider(file) {
+    let provider;
+    try {
+        provider = (await import(pathToFileURL(path.resolve(file)).href)).default;
+    } catch (err) {
+        throw new Error(`moduleBadgeProvider: cannot load badge data provider module ${file}: ${err.message}`, { cause: err });
+    }
+    if (typeof provider === 'function') {
+        provider = await provider();
+    }
+    if (!provider || typeof provider.get !== 'function') {
+        throw new Error(`moduleBadgeProvider: invalid badge data provider in module ${file}`);
+    }
+    return { name: `module:${file}`, ...provider };
+}
+
+/**
+ * Badge data provider factories by specification type.
+ */
+const badgeProviders = {
+    json: jsonBadgeProvider,
+    module: moduleBadgeProvider,
+};
+
+/**
+ * Creates a badge data provider from its specification (`<type>:<argument>`).
+ * @param {string} spec Provider specification.
+ * @returns Badge data provider.
+ */
+async function badgeProvider(spec) {
+    const match = typeof spec === 'string' ? spec.match(/^([a-z]+):(.+)$/) : null;
+    if (!match || !(match[1] in badgeProviders)) {
+        throw new Error('badgeProvider: invalid badge data provider specification: ' + util.inspect(spec, { compact: true, colors: true }));
+    }
+    return badgeProviders[match[1]](match[2]);
+}
+
+/**
+ * Resolves a badge: the message is the `message` property or the value of
+ * the `data` key in the provider. Badges are rendered locally if there is a
+ * message. Otherwise the remote badge (`src`) is used if `remote` is true, and
+ * the badge is not resolved (returns `null`) if it is false.
+ * @param {Object} badge Badge (`label`, `message` or `data`, `color`, `src`).
+ * @param {Object} provider Badge data provider.
+ * @param {boolean} remote Fall back to the remote badge.
+ * @returns Resolved badge (`id`, `url`, `local`, and `svg`, `width` and `height` if local), or `null`.
+ */
+async function resolveBadge(badge, provider, remote = false) {
+    const message = badge.message ?? (badge.data ? await provider.get(badge.data) : undefined);
+    if (message !== undefined && message !== null && message !== '') {
+        const options = { label: badge.label, message, color: badge.color, labelColor: badge.labelColor };
+        const id = crypto.createHash('sha1').update(JSON.stringify(options)).digest('hex').substring(0, 12);
+        return { id, url: `/img/badges/${id}.svg`, local: true, ...badgeSvg(options) };
+    } else if (remote && badge.src) {
+        return { id: '', url: badge.src, local: false };
+    } else {
+        return null;
+    }
+}
+
+export { badgeColors, textWidth, badgeSvg, jsonBadgeProvider, moduleBadgeProvider, badgeProviders, badgeProvider, resolveBadge };
+export default {
+    badgeColors,
+    textWidth,
+    badgeSvg,
+    jsonBadgeProvider,
+    moduleBadgeProvider,
+    badgeProviders,
+    badgeProvider,
+    resolveBadge,
+};
@@ -0,0 +1,317 @@
+/**
+ * CitationUtil.mjs
+ * ================
+ *
+ * This file contains tools to export bibliographic references in the BibTeX,
+ * RIS and CSL-JSON formats and to format them as plain text citations in the
+ * APA and ABNT styles. References are CSL-JSON items (Citation Style Language,
+ * https://citeproc-js.readthedocs.io/en/latest/csl-json/markup.html), with
+ * the `issued` date also accepted as an ISO date string (`YYYY`, `YYYY-MM` or
+ * `YYYY-MM-DD`).
+ *
+ * These tools were designed for use at build time in projects with Eleventy.
+ *
+ * MIT License, Copyright (c) 2016-2026 Sergio Lindau, mathjslab.com
+ */
+
+/**
+ * @module CitationUtil
+ */
+
+import util from 'node:util';
+
+/**
+ * BibTeX entry types by CSL item type. Other types are exported as `misc`.
+ */
+const bibtexType = {
+    'article-journal': 'article',
+    book: 'book',
+    chapter: 'incollection',
+    'paper-conference': 'inproceedings',
+    report: 'techreport',
+    thesis: 'phdthesis',
+    manuscript: 'unpublished',
+};
+
+/**
+ * RIS reference types by CSL item type. Other types are exported as `GEN`.
+ */
+const risType = {
+    'article-journal': 'JOUR',
+    book: 'BOOK',
+    chapter: 'CHAP',
+    'paper-conference': 'CPAPER',
+    report: 'RPRT',
+    thesis: 'THES',
+    manuscript: 'UNPB',
+    software: 'COMP',
+    webpage: 'ELEC',
+};
+
+/**
+ * Type descriptions of the APA style (the bracketed text after the title), by
+ * CSL item type and language.
+ */
+const apaDescription = {
+    software: { en: 'Computer software', es: 'Software de computadora', pt: 'Software' },
+    manuscript: { en: 'Unpublished manuscript', es: 'Manuscrito no publicado', pt: 'Manuscrito não publicado' },
+};
+
+/**
+ * Type descriptions of the ABNT style (after the date), by CSL item type.
+ */
+const abntDescription = {
+    software: 'Software',
+    manuscript: 'Manuscrito',
+};
+
+/**
+ * Month abbreviations of the ABNT style (NBR 6023).
+ */
+const abntMonths = ['jan.', 'fev.', 'mar.', 'abr.', 'maio', 'jun.', 'jul.', 'ago.', 'set.', 'out.', 'nov.', 'dez.'];
+
+/**
+ * Placeholder of the access date of the ABNT references formatted without an
+ * access date (as the references rendered at build time), replaced by the
+ * date on which the reader copies the reference.
+ */
+const accessedPlaceholder = '{accessed}';
+
+/**
+ * Checks a CSL-JSON item.
+ * @param {*} item CSL-JSON item.
+ * @param {string} name Caller name, used in error messages.
+ * @returns {Object} The item.
+ */
+function checkItem(item, name) {
+    if (!item || typeof item !== 'object' || typeof item.id !== 'string' || typeof item.title !== 'string') {
+        throw new Error(`${name}: invalid citation item: ` + util.inspect(item, { compact: true, colors: true }));
+    }
+    return item;
+}
+
+/**
+ * Gets the date parts (`[year, month, day]`, month and day optional) of a
+ * CSL date variable given as an ISO date string or as a CSL date object.
+ * @param {string|Object} date Date.
+ * @returns {number[]} Date parts, or an empty array if there is no date.
+ */
+function dateParts(date) {
+    if (!date) {
+        return [];
+    } else if (typeof date === 'string') {
+        const match = date.match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?/);
+        if (!match) {
+            throw new Error('dateParts: invalid date: ' + util.inspect(date, { compact: true, colors: true }));
+        }
+        return match
+            .slice(1)
+            .filter((part) => part !== undefined)
+            .map(Number);
+    } else if (Array.isArray(date['date-parts'])) {
+        return date['date-parts'][0].map(Number);
+    } else {
+        throw new Error('dateParts: invalid date: ' + util.inspect(date, { compact: true, colors: true }));
+    }
+}
+
+/**
+ * Converts an item to a CSL-JSON item: the `issued` date is converted to a
+ * CSL date object and empty values are removed.
+ * @param {Object} item Citation item.
+ * @returns {Object} CSL-JSON item.
+ */
+function cslItem(item) {
+    checkItem(item, 'cslItem');
+    const result = {};
+    for (const [key, value] of Object.entries(item)) {
+        if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+            continue;
+        }
+        result[key] = key === 'issued' ? { 'date-parts': [dateParts(value)] } : value;
+    }
+    return result;
+}
+
+/**
+ * Escapes the BibTeX special characters of a field value.
+ * @param {string} value Field value.
+ * @returns {string} Escaped value.
+ */
+function bibtexEscape(value) {
+    return String(value)
+        .replace(/([\\{}])/g, '\\$1')
+        .replace(/([&%$#_])/g, '\\$1');
+}
+
+/**
+ * Formats an item as a BibTeX entry. The title is enclosed in braces to keep
+ * its capitalization.
+ * @param {Object} item Citation item.
+ * @returns {string} BibTeX entry.
+ */
+function bibtex(item) {
+    checkItem(item, 'bibtex');
+    const [year, month] = dateParts(item.issued);
+    const fields = [
+        ['author', (item.author || []).map((author) => author.literal || `${author.family}, ${author.given}`).join(' and ')],
+        ['title', `{${bibtexEscape(item.title)}}`],
+        ['journal', item['container-title'] && item.type === 'article-journal' ? bibtexEscape(item['container-title']) : ''],
+        ['booktitle', item['container-title'] && item.type !== 'article-journal' ? bibtexEscape(item['container-title']) : ''],
+        ['publisher', item.publisher ? bibtexEscape(item.publisher) : ''],
+        ['year', year ? String(year) : ''],
+        ['month', month ? String(month) : ''],
+        ['version', item.version ? bibtexEscape(item.version) : ''],
+        ['doi', item.DOI ? bibtexEscape(item.DOI) : ''],
+        ['isbn', item.ISBN ? bibtexEscape(item.ISBN) : ''],
+        ['url', item.URL || ''],
+        ['language', item.language || ''],
+        ['keywords', item.keyword ? bibtexEscape(item.keyword) : ''],
+        ['note', item.type === 'software' ? 'Computer software' : item.type === 'manuscript' ? 'Unpublished manuscript' : ''],
+    ].filter(([_name, value]) => value);
+    return `@${bibtexType[item.type] || 'misc'}{${item.id},\n${fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n')}\n}\n`;
+}
+
+/**
+ * Formats an item as a RIS record.
+ * @param {Object} item Citation item.
+ * @returns {string} RIS record.
+ */
+function ris(item) {
+    checkItem(item, 'ris');
+    const [year, month, day] = dateParts(item.issued);
+    const lines = [
+        ['TY', risType[item.type] || 'GEN'],
+        ['ID', item.id],
+        ...(item.author || []).map((author) => ['AU', author.literal || `${author.family}, ${author.given}`]),
+        ['TI', item.title],
+        ['T2', item['container-title']],
+        ['PY', year ? String(year) : ''],
+        ['DA', year ? [year, month, day].map((part) => (part ? String(part).padStart(2, '0') : '')).join('/') + '/' : ''],
+        ['PB', item.publisher],
+        ['ET', item.version],
+        ['DO', item.DOI],
+        ['SN', item.ISBN],
+        ['UR', item.URL],
+        ['LA', item.language],
+        ...(item.keyword ? item.keyword.split(/[,;.]\s*/).filter((keyword) => keyword) : []).map((keyword) => ['KW', keyword]),
+        ['AB', item.abstract],
+        ['ER', ''],
+    ].filter(([tag, value]) => value || tag === 'ER');
+    return lines.map(([tag, value]) => `${tag}  - ${value}`.trimEnd()).join('\n') + '\n';
+}
+
+/**
+ * Formats items as CSL-JSON.
+ * @param {Object|Object[]} items Citation item or items.
+ * @returns {string} CSL-JSON array.
+ */
+function cslJson(items) {
+    return JSON.stringify((Array.isArray(items) ? items : [items]).map(cslItem), null, 2);
+}
+
+/**
+ * Formats an item as an APA style (7th edition) plain text reference.
+ * @param {Object} item Citation item.
+ * @param {string} lang Language of the type description.
+ * @returns {string} Reference.
+ */
+function apa(item, lang = 'en') {
+    checkItem(item, 'apa');
+    const initials = (given) =>
+        String(given)
+            .split(/\s+/)
+            .map((name) => `${name[0]}.`);
+    const authors = (item.author || []).map((author) => author.literal || `${author.family}, ${initials(author.given).join(' ')}`);
+    const [year] = dateParts(item.issued);
+    const description = apaDescription[item.type] ? apaDescription[item.type][lang.split('-')[0]] || apaDescription[item.type].en : '';
+    const creator = authors.length > 1 ? `${authors.slice(0, -1).join(', ')}, & ${authors[authors.length - 1]}` : authors[0] || item.title;
+    return [
+        `${creator} (${year || 'n.d.'}).`,
+        authors.length > 0 ? `${item.title}${item.version ? ` (${item.version})` : ''}${description ? ` [${description}]` : ''}.` : description ? `[${description}].` : '',
+        item.publisher ? `${item.publisher}.` : '',
+        item.DOI ? `https://doi.org/${item.DOI}` : item.URL || '',
+    ]
+        .filter((part) => part)
+        .join(' ');
+}
+
+/**
+ * Formats an item as an ABNT style (NBR 6023) plain text reference.
+ * @param {Object} item Citation item.
+ * @param {Date} [accessed] Access date of online documents (`accessedPlaceholder` if not given).
+ * @returns {string} Reference.
+ */
+function abnt(item, accessed) {
+    checkItem(item, 'abnt');
+    const authors = (item.author || []).map((author) => author.literal || `${String(author.family).toUpperCase()}, ${author.given}`);
+    const [year] = dateParts(item.issued);
+    return [
+        authors.length > 0 ? `${authors.join('; ')}.` : '',
+        `${item.title}.`,
+        item.version ? `Versão ${item.version}.` : '',
+        item.publisher ? `[S. l.]: ${item.publisher}, ${year || '[s. d.]'}.` : `${year || '[s. d.]'}.`,
+        abntDescription[item.type] ? `${abntDescription[item.type]}.` : '',
+        item.ISBN ? `ISBN ${item.ISBN}.` : '',
+        item.DOI ? `DOI: ${item.DOI}.` : '',
+        item.URL
+            ? `Disponível em: ${item.URL}. Acesso em: ${accessed instanceof Date ? `${accessed.getDate()} ${abntMonths[accessed.getMonth()]} ${accessed.getFullYear()}` : accessedPlaceholder}.`
+            : '',
+    ]
+        .filter((part) => part)
+        .join(' ');
+}
+
+/**
+ * Formats an item as a plain text reference in a citation style.
+ * @param {Object} item Citation item.
+ * @param {string} style Citation style (`apa` or `abnt`).
+ * @param {string} lang Language of the reference.
+ * @returns {string} Reference.
+ */
+function formatCitation(item, style = 'apa', lang = 'en') {
+    switch (style) {
+        case 'apa':
+            return apa(item, lang);
+        case 'abnt':
+            return abnt(item);
+        default:
+            throw new Error('formatCitation: invalid citation style: ' + util.inspect(style, { compact: true, colors: true }));
+    }
+}
+
+/**
+ * Citation filters.
+ */
+const citationFilters = {
+    bibtex: function (item) {
+        return bibtex(item);
+    },
+    ris: function (item) {
+        return ris(item);
+    },
+    cslJson: function (items) {
+        return cslJson(items);
+    },
+    formatCitation: function (item, style, lang) {
+        return formatCitation(item, style, lang);
+    },
+    citationMonths: function (style) {
+        /* Month abbreviations of the access date of a citation style, for the client. */
+        return style === 'abnt' ? abntMonths : [];
+    },
+};
+
+export { accessedPlaceholder, dateParts, cslItem, bibtex, ris, cslJson, apa, abnt, formatCitation, citationFilters };
+export default {
+    accessedPlaceholder,
+    dateParts,
+    cslItem,
+    bibtex,
+    ris,
+    cslJson,
+    apa,
+    abnt,
+    formatCitation,
+    citationFilters,
+};
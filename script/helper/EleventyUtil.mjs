@@ -22,7 +22,7 @@
  * Install development dependencies with:
  *
  * ```
- * npm install --save-dev uuid chalk @11ty/eleventy @11ty/eleventy-img yaml json5 smol-toml sass coffeescript cson png-to-ico
+ * npm install --save-dev uuid chalk @11ty/eleventy @11ty/eleventy-img yaml json5 smol-toml sass coffeescript cson png-to-ico mathjslab
  * ```
  *
  * MIT License, Copyright (c) 2016-2026 Sergio Lindau, mathjslab.com
@@ -36,6 +36,7 @@ import os from 'node:os';
 import fs from 'node:fs';
 import path from 'node:path';
 import util from 'node:util';
+import { fileURLToPath, pathToFileURL } from 'node:url';
 import { execFileSync } from 'node:child_process';
 import { v4 as uuid } from 'uuid';
 import chalk from 'chalk';
@@ -73,20 +74,23 @@ Object.defineProperty(os, 'EOL', {
  * The `JSON.stringify` function is not overridden because its equivalent from
  * the `json5` package does not produce double-quoted keys.
  */
-globalThis.JSON.backup = {
-    parse: globalThis.JSON.parse.bind(globalThis.JSON),
-    stringify: globalThis.JSON.stringify.bind(globalThis.JSON),
-};
-/* Extending JSON object. */
-globalThis.JSON.parseJSON5 = JSON5.parse.bind(JSON5);
-globalThis.JSON.parseJSON = globalThis.JSON.parse.bind(globalThis.JSON);
-globalThis.JSON.stringifyJSON5 = JSON5.stringify.bind(JSON5);
-globalThis.JSON.stringifyJSON = globalThis.JSON.stringify.bind(globalThis.JSON);
-globalThis.JSON.stringify = function (value, replacer, space) {
-    return globalThis.JSON.backup.stringify(value, replacer, space).replace(/\n/g, '\r\n');
-}.bind(globalThis.JSON);
-/* Override JSON.parse function. */
-globalThis.JSON.parse = JSON5.parse.bind(JSON5);
+/* The module is evaluated again on every config reset in `serve` and `watch` modes. */
+if (typeof globalThis.JSON.backup === 'undefined') {
+    globalThis.JSON.backup = {
+        parse: globalThis.JSON.parse.bind(globalThis.JSON),
+        stringify: globalThis.JSON.stringify.bind(globalThis.JSON),
+    };
+    /* Extending JSON object. */
+    globalThis.JSON.parseJSON5 = JSON5.parse.bind(JSON5);
+    globalThis.JSON.parseJSON = globalThis.JSON.parse.bind(globalThis.JSON);
+    globalThis.JSON.stringifyJSON5 = JSON5.stringify.bind(JSON5);
+    globalThis.JSON.stringifyJSON = globalThis.JSON.stringify.bind(globalThis.JSON);
+    globalThis.JSON.stringify = function (value, replacer, space) {
+        return globalThis.JSON.backup.stringify(value, replacer, space).replace(/\n/g, '\r\n');
+    }.bind(globalThis.JSON);
+    /* Override JSON.parse function. */
+    globalThis.JSON.parse = JSON5.parse.bind(JSON5);
+}
 /* Extending global JSON object to parse and save files. */
 globalThis.JSON.parseFileSync = function (filePath, reviver = null) {
     return JSON5.parse(readFileBomSync(filePath, 'utf-8'), reviver);
@@ -287,9 +291,9 @@ const console = {
 };
 
 /**
- *
- * @param  {...any} args
- * @returns
+ * Runs a git command in the working directory.
+ * @param  {...any} args Command arguments.
+ * @returns {string} Command output, trimmed.
  */
 function git(...args) {
     return execFileSync('git', args, {
@@ -560,11 +564,12 @@ const utilFilters = {
         return test ? message : '';
     },
     compileSCSS: function (scssPath) {
-        return sass
-            .compile(path.resolve(this.eleventy.directories.input, scssPath), {
-                loadPaths: ['.', this.eleventy.directories.includes],
-            })
-            .css.toString();
+        /* Expanded output without source map: the result is read by the templates. */
+        /* The loaded files are not tracked by the incremental build: the partials are watched by the `watch` targets of `configSass`. */
+        return sassCompile(path.resolve(this.eleventy.directories.input, scssPath), undefined, ['.', this.eleventy.directories.includes], {
+            style: 'expanded',
+            sourceMap: false,
+        }).css;
     },
     processEnv: function (key, defaultValue = undefined) {
         if (typeof key === 'string') {
@@ -575,17 +580,114 @@ const utilFilters = {
             throw new Error(`processEnv filter: invalid environment variable name: ${key}`);
         }
     },
+    fileSize: function (bytes, locale = 'en') {
+        const units = ['byte', 'kilobyte', 'megabyte', 'gigabyte'];
+        let index = 0;
+        let value = bytes;
+        while (value >= 1000 && index < units.length - 1) {
+            value /= 1000;
+            index++;
+        }
+        return new Intl.NumberFormat(locale, { style: 'unit', unit: units[index], unitDisplay: 'short', maximumFractionDigits: index > 0 ? 1 : 0 }).format(value);
+    },
     sitemapLastmod: function (files) {
         if (!Array.isArray(files) || files.length === 0) {
             return '';
         }
         return git('log', '-1', '--format=%cs', '--', ...files);
     },
+    absoluteUrl: function (url, base) {
+        /* Resolves a relative URL (`/app-stub/`) against a base URL (`site.url`). Absolute URLs are kept. */
+        return new URL(url, base).href;
+    },
+};
+/**
+ * The `mathjslab` package module. It is imported on first use, so projects
+ * that do not evaluate sessions at build time do not need it installed.
+ */
+let mathjslabModule;
+/**
+ * Evaluated sessions, keyed by prompts and evaluator configuration. Each
+ * session is evaluated once per build even if rendered by several pages.
+ */
+const mathjslabSessionCache = new Map();
+/**
+ * Evaluates a list of prompts with the `mathjslab` interpreter, in order and
+ * using the same evaluator, and returns the prompts with the MathML rendered
+ * result of each one.
+ * @param {string[]} prompts Session prompts.
+ * @param {Object} config Evaluator configuration.
+ * @returns {Promise<{input: string, mathML: string}[]>}
+ */
+async function mathjslabSession(prompts, config = {}) {
+    if (!Array.isArray(prompts) || !prompts.every((prompt) => typeof prompt === 'string')) {
+        throw new Error('mathjslabSession: invalid prompts: ' + util.inspect(prompts, { compact: true, colors: true }));
+    }
+    const key = JSON.stringify([prompts, config]);
+    if (!mathjslabSessionCache.has(key)) {
+        if (!mathjslabModule) {
+            try {
+                mathjslabModule = await import('mathjslab');
+            } catch (err) {
+                throw new Error(`mathjslabSession: cannot load the mathjslab package: ${err.message}`, { cause: err });
+            }
+        }
+        const evaluator = mathjslabModule.Evaluator.initialize(config);
+        mathjslabSessionCache.set(
+            key,
+            prompts.map((input) => {
+                try {
+                    const mathML = evaluator.UnparseMathML(evaluator.Evaluate(evaluator.Parse(input)));
+                    return {
+                        input,
+                        mathML: mathML.startsWith('<math') ? mathML : `<math xmlns="http://www.w3.org/1998/Math/MathML" display="block">${mathML}</math>`,
+                    };
+                } catch (err) {
+                    throw new Error(`mathjslabSession: cannot evaluate "${input}": ${err.message}`, { cause: err });
+                }
+            }),
+        );
+    }
+    return mathjslabSessionCache.get(key);
+}
+/**
+ * Util asynchronous filters.
+ */
+const utilAsyncFilters = {
+    mathjslabSession: async function (prompts, config) {
+        return mathjslabSession(prompts, config);
+    },
 };
+/**
+ * Renders a JSON-LD `<script>` element of a list of nodes: a single node is
+ * emitted with its `@context`, several nodes as a `@graph`. Nested lists are
+ * flattened and empty entries (`null`, `undefined`, `false` or `''`) are
+ * skipped, so templates can contribute nodes conditionally, as are the node
+ * properties with empty values (`null` or `''`). The JSON is
+ * serialized with `JSON.stringify` and the `<` characters are escaped, so no
+ * value can close the `<script>` element.
+ * @param {Object|Object[]} nodes Nodes.
+ * @param {string} context JSON-LD context.
+ * @returns {string} JSON-LD `<script>` element.
+ */
+function jsonLd(nodes, context = 'https://schema.org') {
+    const emptyPropertyReplacer = function (_key, value) {
+        return !Array.isArray(this) && (value === null || value === '') ? undefined : value;
+    };
+    const graph = [nodes].flat(Infinity).filter(Boolean);
+    if (graph.length === 0 || !graph.every((node) => typeof node === 'object')) {
+        throw new Error('jsonLd: invalid nodes: ' + util.inspect(nodes, { compact: true, colors: true }));
+    }
+    const data = graph.length === 1 ? { '@context': context, ...graph[0] } : { '@context': context, '@graph': graph };
+    return `<script type="application/ld+json">\n${globalThis.JSON.backup.stringify(data, emptyPropertyReplacer, 2).replace(/</g, '\\u003c')}\n</script>`;
+}
 /**
  * Util shortcodes.
  */
 const utilShortcodes = {
+    jsonLd: function (nodes, context) {
+        return jsonLd(nodes, context);
+    },
     currentDate: function (format) {
         /* About formatting specification: https://moment.github.io/luxon/#/formatting */
         if (format === 'HTTP') {
@@ -608,6 +710,23 @@ function configAddEntries(eleventyConfig, obj, add) {
         eleventyConfig[add](name, fn);
     }
 }
+/**
+ * Add asynchronous filters from obj to configuration. The Nunjucks version of
+ * each filter is overridden to pass errors to the template renderer, so a
+ * failing filter fails the build instead of crashing the process with an
+ * unhandled rejection.
+ * @param {*} eleventyConfig
+ * @param {*} obj
+ */
+function configAddAsyncFilters(eleventyConfig, obj) {
+    for (const [name, fn] of Object.entries(obj)) {
+        eleventyConfig.addAsyncFilter(name, fn);
+        eleventyConfig.addNunjucksAsyncFilter(name, function (...args) {
+            const callback = args.pop();
+            fn.call(this, ...args).then((result) => callback(null, result), callback);
+        });
+    }
+}
 /**
  * Adds the contents of files to the data cascade (global data).
  * @param {*} eleventyConfig
@@ -737,6 +856,106 @@ function prefixExtensionRemoveFactory(prefix, extension) {
         };
     };
 }
+/**
+ * Default SASS compilation options, of the SASS template engine and of the
+ * `compileSCSS` filter (see `configSass`).
+ */
+const defaultSassOptions = {
+    /**
+     * Output style: `'expanded'` or `'compressed'`.
+     */
+    style: 'expanded',
+    /**
+     * Appends an inline source map (with the sources) to the output.
+     */
+    sourceMap: false,
+    /**
+     * Eleventy run modes (`'build'`, `'watch'` or `'serve'`) where a compile
+     * error is logged and rendered as an overlay over the page, instead of
+     * failing the build.
+     */
+    errorOverlay: [],
+    /**
+     * Additional watch targets of the SASS sources (as the partials
+     * directory), rebuilding the templates when changed.
+     */
+    watch: [],
+};
+/**
+ * SASS compilation state: the options set by `configSass`.
+ */
+let sassState = { options: defaultSassOptions };
+/**
+ * Converts the URLs loaded by the SASS compiler to file paths relative to the
+ * working directory, as the paths of the files changed in watch mode.
+ * @param {URL[]} urls Loaded URLs.
+ * @returns {string[]} File paths (`./` prefixed).
+ */
+function sassFiles(urls) {
+    return urls.filter((url) => url.protocol === 'file:').map((url) => './' + path.relative('.', fileURLToPath(url)).split(path.sep).join('/'));
+}
+/**
+ * Renders a SASS compile error as CSS: an overlay over the page with the error
+ * message.
+ * @param {Error} error SASS compile error.
+ * @returns {string} CSS.
+ */
+function sassErrorOverlay(error) {
+    const message = util.stripVTControlCharacters(error.message).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\A ');
+    return [
+        '@charset "UTF-8";',
+        'body::before {',
+        `  content: "SASS compile error\\A\\A ${message}";`,
+        '  position: fixed;',
+        '  inset: 0;',
+        '  z-index: 2147483647;',
+        '  overflow: auto;',
+        '  padding: 2rem;',
+        '  white-space: pre-wrap;',
+        '  font: 0.875rem/1.5 ui-monospace, monospace;',
+        '  color: #fff;',
+        '  background: rgb(122 16 16 / 0.95);',
+        '}',
+        '',
+    ].join('\n');
+}
+/**
+ * Compiles a SASS file, or the content of a SASS template, with the SASS
+ * options set by `configSass`.
+ * @param {string} file File path.
+ * @param {string} [content] File content (the file is read if not given).
+ * @param {string[]} loadPaths SASS load paths.
+ * @param {Object} [options] Options overriding the SASS options (see `defaultSassOptions`).
+ * @returns {{css: string, files: string[]}} CSS and loaded files (the file and its dependencies).
+ */
+function sassCompile(file, content, loadPaths, options = {}) {
+    const { style, sourceMap, errorOverlay } = { ...sassState.options, ...options };
+    const compileOptions = { style, sourceMap, sourceMapIncludeSources: sourceMap, loadPaths, silenceDeprecations: ['global-builtin'] };
+    try {
+        const result = typeof content === 'string' ? sass.compileString(content, { ...compileOptions, url: pathToFileURL(path.resolve(file)) }) : sass.compile(file, compileOptions);
+        const css = sourceMap ? `${result.css}\n/*# sourceMappingURL=data:application/json;base64,${Buffer.from(JSON.stringifyJSON(result.sourceMap)).toString('base64')} */\n` : result.css;
+        return { css, files: sassFiles(result.loadedUrls) };
+    } catch (error) {
+        if (!(error instanceof sass.Exception) || !errorOverlay.includes(process.env.ELEVENTY_RUN_MODE)) {
+            throw error;
+        }
+        /* Logged with the module console (`EleventyUtil.console`). */
+        console.error(`SASS compile error in ${file}:\n${util.stripVTControlCharacters(error.message)}`);
+        return { css: sassErrorOverlay(error), files: sassFiles([pathToFileURL(path.resolve(file)), error.span?.url].filter(Boolean)) };
+    }
+}
+/**
+ * Sets the SASS options of the SASS template engine and of the `compileSCSS`
+ * filter, and adds the watch targets of the SASS sources.
+ * @param {*} eleventyConfig Eleventy configuration.
+ * @param {Object} options SASS options (see `defaultSassOptions`).
+ */
+function configSass(eleventyConfig, options = {}) {
+    sassState = { options: { ...defaultSassOptions, ...options } };
+    for (const target of sassState.options.watch) {
+        eleventyConfig.addWatchTarget(target);
+    }
+}
 /**
  * Template engines configuration.
  */
@@ -768,15 +987,12 @@ const templateEngine = {
                 // `compile` is called once per .scss file in the input directory
                 compile: function (inputContent, inputPath) {
                     let parsed = path.parse(inputPath);
-                    let result = sass.compileString(inputContent, {
-                        silenceDeprecations: ['global-builtin'],
-                        loadPaths: [parsed.dir || '.', this.config.dir.includes],
-                    });
-                    /* Registering dependencies. */
-                    this.addDependencies(inputPath, result.loadedUrls);
+                    let { css, files } = sassCompile(inputPath, inputContent, [parsed.dir || '.', this.config.dir.includes]);
+                    /* Registering dependencies (relative paths, as the files changed in watch mode). */
+                    this.addDependencies(inputPath, files);
                     // This is the render function, `data` is the full data cascade
                     return (_data) => {
-                        return result.css;
+                        return css;
                     };
                 },
             });
@@ -824,6 +1040,24 @@ function configAddTemplateFormat(eleventyConfig, formats = ['njk', 'scss'], perm
         templateEngine[templateFormatAlias[format]].config.bind(eleventyUtil)(eleventyConfig, format, permalinkPrefixRemove, templateEngine[templateFormatAlias[format]]);
     });
 }
+/**
+ * Sets a value at a dot separated key path of an object (as `lodash.set`).
+ * Intermediate objects are copied instead of mutated, so objects shared with
+ * the data cascade (as `page`) are not modified.
+ * @param {Object} obj
+ * @param {string} keyPath
+ * @param {*} value
+ */
+function setKeyPath(obj, keyPath, value) {
+    const keys = keyPath.split('.');
+    const last = keys.pop();
+    let target = obj;
+    for (const key of keys) {
+        target[key] = Object.assign({}, target[key]);
+        target = target[key];
+    }
+    target[last] = value;
+}
 /**
  * The render template function factory. Implements front matter for templates rendered by plugin with improved parse engines.
  * @param {*} eleventyConfig Eleventy configuration.
@@ -906,8 +1140,10 @@ function renderTemplateFunctionFactory(eleventyConfig, accessGlobalData = true,
         } else {
             templateLang = false;
             data = defaultData;
-            options = defaultOptions;
+            options = {};
         }
+        /* Options passed in arguments override the configured front matter parsing options. */
+        options = Object.assign({}, defaultOptions, options);
         if (globalDataAccess) {
             data = Object.assign({}, this.ctx, data);
         }
@@ -919,22 +1155,44 @@ function renderTemplateFunctionFactory(eleventyConfig, accessGlobalData = true,
             parsed.language = match[1] || defaultFrontMatterLanguage;
             parsed.matter = match[2] || '';
             parsed.content = match[3] || '';
-            if (options.excerpt) {
-                if (typeof options.excerpt === 'function') {
-                } else if (typeof options.excerpt === 'boolean') {
-                } else if (typeof options.excerpt === 'string') {
-                } else {
-                    // error
-                }
-            }
             parsed.matterRendered = await render(parsed.matter, data, templateLang);
             let parseEngine = engines[parsed.language];
-            parsed.data = typeof parseEngine !== 'function' ? parseEngine.parse(parsed.matterRendered) : parseEngine(parsed.matterRendered);
+            parsed.data = (typeof parseEngine !== 'function' ? parseEngine.parse(parsed.matterRendered) : parseEngine(parsed.matterRendered)) || {};
             Object.assign(data, parsed.data);
         } catch (err) {
             err.message = 'cannot parse front matter of template: ' + err.message;
             throw err;
         }
+        /* Extract excerpt. */
+        const excerptOptions = frontMatterOptionExcerpt(options);
+        if (excerptOptions.excerpt) {
+            const separator = parsed.data.excerpt_separator || excerptOptions.excerpt_separator || defaultFrontMatterDelimiter;
+            if (typeof excerptOptions.excerpt === 'function') {
+                /* The excerpt function sets `file.excerpt` (same signature as in gray-matter). */
+                const file = { content: parsed.content, data: parsed.data, excerpt: '' };
+                try {
+                    excerptOptions.excerpt(file, { excerpt: excerptOptions.excerpt, excerpt_separator: separator });
+                } catch (err) {
+                    err.message = 'cannot extract excerpt of template: ' + err.message;
+                    throw err;
+                }
+                parsed.excerpt = file.excerpt;
+            } else {
+                const index = parsed.content.indexOf(separator);
+                if (index !== -1) {
+                    parsed.excerpt = parsed.content.slice(0, index);
+                    /* As in Eleventy, the excerpt is kept in content and the separator is removed. */
+                    const rest = parsed.content.slice(index + separator.length);
+                    parsed.content = /^\r?\n/.test(rest) ? parsed.excerpt.trim() + '\n' + rest.replace(/^\r?\n/, '') : parsed.excerpt + rest;
+                }
+            }
+            if (typeof parsed.excerpt === 'string') {
+                const alias = excerptOptions.excerpt_alias || 'page.excerpt';
+                parsed.excerpt_alias = alias;
+                setKeyPath(parsed.data, alias, parsed.excerpt);
+                setKeyPath(data, alias, parsed.excerpt);
+            }
+        }
         /* Render template file. */
         try {
             parsed.rendered = await render(parsed.content, data, templateLang);
@@ -1198,7 +1456,8 @@ const defaultRenderPluginOptions = {
 };
 /**
  * Runs Eleventy, passing the configuration and options. Executes callback if
- * passed. Executes error if passed and there is an error.
+ * passed. Executes error if passed and there is an error, which is rethrown
+ * (and logged by the caller).
  * @param {*} config
  * @param {*} options
  * @param {*} callback
@@ -1235,7 +1494,6 @@ async function run(
             }
         })
         .catch(function (err) {
-            console.error(err.message);
             try {
                 fs.unlinkSync(configPath);
             } catch {}
@@ -1246,7 +1504,74 @@ async function run(
         });
 }
 /**
- * Transform image files.
+ * Selects build steps by name or by one-based position. Steps are returned in
+ * declaration order, whatever the order of selectors. All steps are selected
+ * if there is no selector.
+ * @param {Object[]} steps Build steps (objects with `name` and `options`).
+ * @param {(string|number)[]} selectors Step names or one-based positions.
+ * @returns {Object[]} Selected steps.
+ */
+function selectSteps(steps, selectors = []) {
+    if (!Array.isArray(selectors) || selectors.length === 0) {
+        return steps;
+    }
+    const selected = new Set();
+    for (const selector of selectors) {
+        const index = /^\d+$/.test(String(selector)) ? Number(selector) - 1 : steps.findIndex((step) => step.name === selector);
+        if (index < 0 || index >= steps.length) {
+            throw new Error(`selectSteps: unknown build step: ${selector} (available steps: ${steps.map((step, i) => `${i + 1}:${step.name}`).join(', ')})`);
+        }
+        selected.add(index);
+    }
+    return steps.filter((_step, index) => selected.has(index));
+}
+/**
+ * Runs build steps in order, reporting the time spent in each one. The
+ * pipeline stops on the first failing step.
+ * @param {Object[]} steps Build steps (objects with `name` and `options`).
+ * @param {Function} configFactory Returns the Eleventy configuration function of a step.
+ * @returns {Promise<Object[]>} Name and duration (milliseconds) of each step.
+ */
+async function runSteps(steps, configFactory) {
+    const report = [];
+    for (const [index, step] of steps.entries()) {
+        const label = `step ${index + 1}/${steps.length} (${step.name})`;
+        const start = performance.now();
+        console.log(`Running ${label} ...`);
+        try {
+            await run(configFactory(step), step.options);
+        } catch (err) {
+            throw new Error(`build ${label} failed: ${err.message}`, { cause: err });
+        }
+        const duration = performance.now() - start;
+        report.push({ name: step.name, duration });
+        console.log(`Running ${label} done in ${(duration / 1000).toFixed(2)} seconds.`);
+    }
+    return report;
+}
+/**
+ * Escapes regular expression special characters of a string.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+/**
+ * Tests whether the output files of an image exist and are not older than its
+ * source.
+ * @param {string} src
+ * @param {string[]} outputPaths
+ * @returns {boolean}
+ */
+function isImageUpToDate(src, outputPaths) {
+    const sourceTime = fs.statSync(src).mtimeMs;
+    return outputPaths.every((outputPath) => fs.existsSync(outputPath) && fs.statSync(outputPath).mtimeMs >= sourceTime);
+}
+/**
+ * Transform image files. An image is not built again if its output files are
+ * up to date, as the configuration function (and so this function) runs again
+ * on every config reset in `serve` and `watch` modes.
  * @param {*} transform
  * @param {*} options
  * @returns
@@ -1269,37 +1594,52 @@ async function transformImage(transform, options) {
                 console.log(`Creating directory ${outputDirPath} done.`);
             }
             const src = options.dir.input + '/' + image.src;
-            console.log(`Building image from source: ${src} ...`);
             const icoIndex = imageOptions.formats.indexOf('ico');
             let outputIcoPath;
             if (icoIndex > -1) {
                 imageOptions.formats.splice(icoIndex, 1);
-                const ico = await toIco(src, imageOptions.widths);
-                const filename = `${imageOptions.outputBasename || src.split('/').pop().split('.')[0]}.ico`;
-                outputIcoPath = path.join(outputDirPath, filename);
-                fs.writeFileSync(outputIcoPath, ico);
-                console.log(`Building image format: ico, widths: ${imageOptions.widths.join(',')}, output: ${filename}`);
+                outputIcoPath = path.join(outputDirPath, `${imageOptions.outputBasename || src.split('/').pop().split('.')[0]}.ico`);
             }
+            let basename;
+            if (imageOptions.outputBasename) {
+                basename = imageOptions.outputBasename;
+                delete imageOptions.outputBasename;
+            }
+            const filenameFormat = function (_id, src, width, format, _options) {
+                return `${basename || src.split('/').pop().split('.')[0]}-${width}.${format}`;
+            };
             let metadata = {};
-            if (imageOptions.formats.length > 0) {
-                try {
-                    let basename;
-                    if (imageOptions.outputBasename) {
-                        basename = imageOptions.outputBasename;
-                        delete imageOptions.outputBasename;
+            try {
+                if (imageOptions.formats.length > 0) {
+                    metadata = await Image(src, { filenameFormat, ...imageOptions, statsOnly: true });
+                }
+                const outputPaths = Object.values(metadata)
+                    .flat()
+                    .map((entry) => entry.outputPath)
+                    .concat(outputIcoPath ? [outputIcoPath] : []);
+                if (isImageUpToDate(src, outputPaths)) {
+                    console.log(`Image from source: ${src} is up to date.`);
+                } else {
+                    console.log(`Building image from source: ${src} ...`);
+                    if (outputIcoPath) {
+                        fs.writeFileSync(outputIcoPath, await toIco(src, imageOptions.widths));
+                        console.log(`Building image format: ico, widths: ${imageOptions.widths.join(',')}, output: ${path.basename(outputIcoPath)}`);
                     }
-                    metadata = await Image(src, {
-                        filenameFormat: function (_id, src, width, format, _options) {
-                            const result = `${basename || src.split('/').pop().split('.')[0]}-${width}.${format}`;
-                            console.log(`Building image format: ${format}, width: ${width}, output: ${result}`);
-                            return result;
-                        },
-                        ...imageOptions,
-                    });
-                } catch (err) {
-                    console.error(`Error building image from source: ${src}: ${err.message}`);
-                    throw err;
+                    if (imageOptions.formats.length > 0) {
+                        metadata = await Image(src, {
+                            filenameFormat: function (_id, src, width, format, _options) {
+                                const result = filenameFormat(_id, src, width, format, _options);
+                                console.log(`Building image format: ${format}, width: ${width}, output: ${result}`);
+                                return result;
+                            },
+                            ...imageOptions,
+                        });
+                    }
+                    console.log(`Building image from source: ${src} done.`);
                 }
+            } catch (err) {
+                console.error(`Error building image from source: ${src}: ${err.message}`);
+                throw err;
             }
             if (icoIndex > -1) {
                 image.formats.push('ico');
@@ -1311,7 +1651,6 @@ async function transformImage(transform, options) {
                     },
                 ];
             }
-            console.log(`Building image from source: ${src} done.`);
             return { image, metadata };
         }),
     );
@@ -1327,17 +1666,28 @@ export {
     defaultDirectories,
     defaultEleventyOptions,
     console,
+    git,
     parseEngine,
     utilFilters,
+    mathjslabSession,
+    utilAsyncFilters,
+    jsonLd,
     utilShortcodes,
     configGetPlugin,
     configAddEntries,
+    configAddAsyncFilters,
     configAddFileContentAsGlobalData,
     prefixExtensionRemoveFactory,
+    defaultSassOptions,
+    sassCompile,
+    configSass,
     templateEngine,
     configAddTemplateFormat,
     configAddRenderTemplateTools,
     run,
+    selectSteps,
+    runSteps,
+    escapeRegExp,
     transformImage,
 };
 /**
@@ -1351,16 +1701,27 @@ export default {
     defaultDirectories,
     defaultEleventyOptions,
     console,
+    git,
     parseEngine,
     utilFilters,
+    mathjslabSession,
+    utilAsyncFilters,
+    jsonLd,
     utilShortcodes,
     configGetPlugin,
     configAddEntries,
+    configAddAsyncFilters,
     configAddFileContentAsGlobalData,
     prefixExtensionRemoveFactory,
+    defaultSassOptions,
+    sassCompile,
+    configSass,
     templateEngine,
     configAddTemplateFormat,
     configAddRenderTemplateTools,
     run,
+    selectSteps,
+    runSteps,
+    escapeRegExp,
     transformImage,
 };
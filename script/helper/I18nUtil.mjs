@@ -0,0 +1,322 @@
+/**
+ * I18nUtil.mjs
+ * ============
+ *
+ * This file contains tools to check the completeness of the locale sources
+ * of a project (`data/i18n-*.js`) against the default locale. Each locale is
+ * compared with the default locale and the following issues are reported:
+ *  - `missing`: key of the default locale missing in the locale.
+ *  - `extra`: key of the locale missing in the default locale.
+ *  - `type`: value type differs from the default locale value type.
+ *  - `length`: array length differs from the default locale array length.
+ *  - `fallback`: `*Html` key not rendered by the templates, without the plain
+ *    text key the templates expect.
+ *
+ * A `*Html` key and its plain text key are interchangeable where templates
+ * render the `*Html` value with a plain text fallback, as in
+ * `{% if item.textHtml %}...{% else %}...{% endif %}`. Array items with an
+ * identifier property (`id`, `name` or `file`) are matched by identifier,
+ * regardless of order, and other array items are matched by position.
+ *
+ * It also contains the `formatMessage` and `formatDate` filters (and
+ * shortcodes), which format ICU MessageFormat messages with arguments and
+ * dates in the page locale at render time.
+ *
+ * These tools were designed for use at build time in projects with Eleventy.
+ *
+ * MIT License, Copyright (c) 2016-2026 Sergio Lindau, mathjslab.com
+ */
+
+/**
+ * @module I18nUtil
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import util from 'node:util';
+import { IntlMessageFormat } from 'intl-messageformat';
+import { TYPE } from '@formatjs/icu-messageformat-parser';
+
+/**
+ * Array item properties used as identifiers, in order of precedence.
+ */
+const identifierKeys = ['id', 'name', 'file'];
+
+/**
+ * Suffix of the keys with HTML values.
+ */
+const htmlSuffix = 'Html';
+
+/**
+ * Gets the type of a value (`array`, `null` or the `typeof` type).
+ * @param {*} value Value.
+ * @returns {string} Type.
+ */
+function valueType(value) {
+    return Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+}
+
+/**
+ * Lists the base names of the `*Html` keys rendered with a plain text
+ * fallback (`{% if <expression>Html %}`) in the Nunjucks templates of some
+ * directories.
+ * @param {string[]} directories Template directories.
+ * @returns {Set<string>} Base names (without the `Html` suffix).
+ */
+function htmlFallbackKeys(directories) {
+    const keys = new Set();
+    for (const directory of directories) {
+        for (const file of fs.readdirSync(path.resolve(directory), { recursive: true })) {
+            if (file.endsWith('.njk')) {
+                const content = fs.readFileSync(path.resolve(directory, file), 'utf-8');
+                for (const match of content.matchAll(/\{%-?\s*if\s+[^%]*?([A-Za-z_$][\w$]*)Html\s*-?%\}/g)) {
+                    keys.add(match[1]);
+                }
+            }
+        }
+    }
+    return keys;
+}
+
+/**
+ * Groups the keys of an object by logical key: a `*Html` key with a plain
+ * text fallback in templates and its plain text key share the same logical
+ * key (the base name).
+ * @param {Object} object Object.
+ * @param {Set<string>} fallbackKeys Base names of the `*Html` keys with a plain text fallback.
+ * @returns {Map<string, string>} Keys by logical key.
+ */
+function logicalKeys(object, fallbackKeys) {
+    const result = new Map();
+    for (const key of Object.keys(object)) {
+        const base = key.endsWith(htmlSuffix) ? key.slice(0, -htmlSuffix.length) : key;
+        const logicalKey = fallbackKeys.has(base) ? base : key;
+        if (!result.has(logicalKey)) {
+            result.set(logicalKey, key);
+        }
+    }
+    return result;
+}
+
+/**
+ * Gets the identifier property of the items of an array, if every item is an
+ * object with the same identifier property.
+ * @param {Array} array Array.
+ * @returns {string|undefined} Identifier property.
+ */
+function identifierKey(array) {
+    return identifierKeys.find((key) => array.length > 0 && array.every((item) => valueType(item) === 'object' && typeof item[key] === 'string'));
+}
+
+/**
+ * Compares a locale value with the default locale value.
+ * @param {*} reference Default locale value.
+ * @param {*} value Locale value.
+ * @param {string} keyPath Key path of the values.
+ * @param {Set<string>} fallbackKeys Base names of the `*Html` keys with a plain text fallback.
+ * @param {Object[]} issues Issues found (`type`, `path`, `message`).
+ * @returns {Object[]} The issues.
+ */
+function compareValue(reference, value, keyPath, fallbackKeys, issues = []) {
+    const referenceType = valueType(reference);
+    const type = valueType(value);
+    if (referenceType !== type) {
+        issues.push({ type: 'type', path: keyPath, message: `expected ${referenceType}, found ${type}` });
+    } else if (type === 'array') {
+        const key = identifierKey(reference);
+        if (key && identifierKey(value) === key) {
+            const items = new Map(value.map((item) => [item[key], item]));
+            const referenceIds = new Set(reference.map((item) => item[key]));
+            for (const item of reference) {
+                if (items.has(item[key])) {
+                    compareValue(item, items.get(item[key]), `${keyPath}[${key}=${item[key]}]`, fallbackKeys, issues);
+                } else {
+                    issues.push({ type: 'missing', path: `${keyPath}[${key}=${item[key]}]`, message: 'missing array item' });
+                }
+            }
+            for (const item of value) {
+                if (!referenceIds.has(item[key])) {
+                    issues.push({ type: 'extra', path: `${keyPath}[${key}=${item[key]}]`, message: 'extra array item' });
+                }
+            }
+        } else {
+            if (reference.length !== value.length) {
+                issues.push({ type: 'length', path: keyPath, message: `expected ${reference.length} items, found ${value.length}` });
+            }
+            for (let i = 0; i < Math.min(reference.length, value.length); i++) {
+                compareValue(reference[i], value[i], `${keyPath}[${i}]`, fallbackKeys, issues);
+            }
+        }
+    } else if (type === 'object') {
+        const referenceKeys = logicalKeys(reference, fallbackKeys);
+        const keys = logicalKeys(value, fallbackKeys);
+        for (const [logicalKey, referenceKey] of referenceKeys) {
+            const childPath = keyPath ? `${keyPath}.${referenceKey}` : referenceKey;
+            if (keys.has(logicalKey)) {
+                compareValue(reference[referenceKey], value[keys.get(logicalKey)], childPath, fallbackKeys, issues);
+            } else {
+                issues.push({ type: 'missing', path: childPath, message: 'missing key' });
+            }
+        }
+        for (const [logicalKey, key] of keys) {
+            const childPath = keyPath ? `${keyPath}.${key}` : key;
+            if (!referenceKeys.has(logicalKey)) {
+                issues.push({ type: 'extra', path: childPath, message: 'extra key' });
+            }
+            if (key.endsWith(htmlSuffix) && logicalKey === key) {
+                const plainKey = key.slice(0, -htmlSuffix.length);
+                if (!(plainKey in value)) {
+                    issues.push({ type: 'fallback', path: childPath, message: `not rendered by templates, plain text key "${plainKey}" expected` });
+                }
+            }
+        }
+    }
+    return issues;
+}
+
+/**
+ * Checks the locale sources against the default locale.
+ * @param {Object} source Locale sources by locale.
+ * @param {string} defaultLocale Default locale.
+ * @param {Object} options Check options.
+ * @param {string[]} options.templateDirectories Template directories, searched for `*Html` keys with a plain text fallback.
+ * @returns {Object} Issues by locale. The default locale is checked only for `fallback` issues.
+ */
+function checkLocales(source, defaultLocale, options = {}) {
+    if (!(defaultLocale in source)) {
+        throw new Error(`checkLocales: default locale "${defaultLocale}" not found in the locale sources`);
+    }
+    const fallbackKeys = htmlFallbackKeys(options.templateDirectories || []);
+    return Object.fromEntries(
+        Object.keys(source).map((lang) => [lang, compareValue(source[defaultLocale], source[lang], '', fallbackKeys).filter((issue) => lang !== defaultLocale || issue.type === 'fallback')]),
+    );
+}
+
+/**
+ * Formats the issues of a locale check, one line per issue.
+ * @param {Object} report Issues by locale.
+ * @returns {string[]} Lines.
+ */
+function formatIssues(report) {
+    return Object.entries(report).flatMap(([lang, issues]) => issues.map((issue) => `${lang}: ${issue.type}: ${issue.path}: ${issue.message}`));
+}
+
+/**
+ * Formats a message without arguments. Messages with arguments (ICU
+ * MessageFormat placeholders) are returned as is, to be formatted at render
+ * time with the `formatMessage` filter.
+ * @param {string} message Message.
+ * @param {string} locale Message locale.
+ * @returns {string} Formatted message, or the message if it has arguments.
+ */
+function formatStaticMessage(message, locale) {
+    const messageFormat = new IntlMessageFormat(message, locale);
+    return messageFormat.getAst().every((element) => element.type === TYPE.literal) ? messageFormat.format() : message;
+}
+
+/**
+ * Formats a message with arguments.
+ * @param {string} message ICU MessageFormat message.
+ * @param {Object} args Message arguments.
+ * @param {string} locale Message locale.
+ * @returns {string} Formatted message.
+ */
+function formatMessage(message, args = {}, locale = 'en') {
+    if (typeof message !== 'string') {
+        throw new Error('formatMessage: invalid message: ' + util.inspect(message, { compact: true, colors: true }));
+    }
+    try {
+        return new IntlMessageFormat(message, locale).format(args);
+    } catch (err) {
+        throw new Error(`formatMessage: cannot format message "${message}": ${err.message}`, { cause: err });
+    }
+}
+
+/**
+ * Formats a date with `Intl.DateTimeFormat`. Dates without time (ISO
+ * `YYYY-MM-DD` strings) are formatted in UTC, so the day does not depend on
+ * the build time zone.
+ * @param {string|number|Date} value Date.
+ * @param {string} locale Locale (BCP 47 language tag).
+ * @param {Object} options `Intl.DateTimeFormat` options.
+ * @returns {string} Formatted date.
+ */
+function formatDate(value, locale = 'en', options = { dateStyle: 'long' }) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error('formatDate: invalid date: ' + util.inspect(value, { compact: true, colors: true }));
+    }
+    return new Intl.DateTimeFormat(locale, { timeZone: 'UTC', ...options }).format(date);
+}
+
+/**
+ * Gets the value of a key path (`a.b.0.c`) in an object.
+ * @param {Object} object Object.
+ * @param {string} keyPath Key path.
+ * @returns {*} Value, or `undefined` if the key path is not found.
+ */
+function keyPathValue(object, keyPath) {
+    return keyPath.split('.').reduce((value, key) => (value !== undefined && value !== null ? value[key] : undefined), object);
+}
+
+/**
+ * Gets the locale data of the page rendering a filter or shortcode: the
+ * `i18n.pages` entry of the `lang` argument or of the page `lang` data.
+ * @param {Object} context Filter or shortcode context (`this`).
+ * @param {string} lang Locale, defaults to the page `lang` data.
+ * @param {string} name Filter or shortcode name, used in error messages.
+ * @returns {{lang: string, pageData: Object}}
+ */
+function contextLocale(context, lang, name) {
+    const ctx = context.ctx || {};
+    lang = lang || ctx.lang;
+    const pageData = ctx.i18n && ctx.i18n.pages ? ctx.i18n.pages[lang] : undefined;
+    if (!pageData) {
+        throw new Error(`${name}: locale data not found for locale ` + util.inspect(lang, { compact: true, colors: true }));
+    }
+    return { lang, pageData };
+}
+
+/**
+ * Internationalization filters. The `formatMessage` filter formats the
+ * message of a key path in the page locale data (`{{ 'archivePage.pageOf' |
+ * formatMessage({ page: 1, count: 3 }) }}`) and the `formatDate` filter
+ * formats a date in the page language (`{{ item.date | formatDate }}`).
+ */
+const i18nFilters = {
+    formatMessage: function (keyPath, args, lang) {
+        const locale = contextLocale(this, lang, 'formatMessage');
+        const message = keyPathValue(locale.pageData, keyPath);
+        if (message === undefined) {
+            throw new Error(`formatMessage: message "${keyPath}" not found in locale "${locale.lang}"`);
+        }
+        return formatMessage(message, args, locale.lang);
+    },
+    formatDate: function (value, options, lang) {
+        const locale = contextLocale(this, lang, 'formatDate');
+        return formatDate(value, locale.pageData.htmlLang || locale.lang, options);
+    },
+};
+
+/**
+ * Internationalization shortcodes (same as the filters).
+ */
+const i18nShortcodes = {
+    formatMessage: i18nFilters.formatMessage,
+    formatDate: i18nFilters.formatDate,
+};
+
+export { valueType, htmlFallbackKeys, compareValue, checkLocales, formatIssues, formatStaticMessage, formatMessage, formatDate, keyPathValue, i18nFilters, i18nShortcodes };
+export default {
+    valueType,
+    htmlFallbackKeys,
+    compareValue,
+    checkLocales,
+    formatIssues,
+    formatStaticMessage,
+    formatMessage,
+    formatDate,
+    keyPathValue,
+    i18nFilters,
+    i18nShortcodes,
+};
@@ -0,0 +1,206 @@
+/**
+ * ImageUtil.mjs
+ * =============
+ *
+ * This file contains tools to serve responsive images: the `image` shortcode,
+ * which renders a `<picture>` element of an input image, and an HTML
+ * transform, which replaces the `<img>` elements of the rendered pages that
+ * reference local raster images by `<picture>` elements. The pictures have
+ * AVIF and WebP sources, a `srcset` of several widths, the intrinsic `width`
+ * and `height` of the image and lazy loading. The images are generated with
+ * `@11ty/eleventy-img` in a cache directory, reused by the next builds (the
+ * file names are a hash of the source image and the options), and copied to
+ * the output directory.
+ *
+ * These tools were designed for use at build time in projects with Eleventy.
+ *
+ * MIT License, Copyright (c) 2016-2026 Sergio Lindau, mathjslab.com
+ */
+
+/**
+ * @module ImageUtil
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import util from 'node:util';
+import { Parser } from 'htmlparser2';
+import Image from '@11ty/eleventy-img';
+
+/**
+ * Default picture options.
+ */
+const defaultPictureOptions = {
+    /**
+     * Output formats, in order of preference (`auto` is the source format).
+     */
+    formats: ['avif', 'webp', 'auto'],
+    /**
+     * Output widths (`auto` is the source width). Widths greater than the
+     * source width are not generated.
+     */
+    widths: [480, 960, 'auto'],
+    /**
+     * Default `sizes` attribute.
+     */
+    sizes: '100vw',
+    /**
+     * Cache directory of the generated images, relative to the project root.
+     */
+    cacheDir: '.cache/image',
+    /**
+     * URL path of the generated images.
+     */
+    urlPath: '/img/picture/',
+    /**
+     * Extensions of the images transformed by the HTML transform.
+     */
+    extensions: ['png', 'jpg', 'jpeg', 'webp', 'gif'],
+};
+
+/**
+ * Resolves the input file of a local image URL (`/img/logo.png`).
+ * @param {string} src Image URL.
+ * @param {string} inputDir Input directory.
+ * @param {string[]} extensions Image extensions.
+ * @returns {string|null} File path, or `null` if the URL is not a local image of one of the extensions or the file does not exist.
+ */
+function imageFile(src, inputDir, extensions = defaultPictureOptions.extensions) {
+    if (typeof src !== 'string' || !src.startsWith('/') || src.startsWith('//')) {
+        return null;
+    }
+    const pathname = decodeURIComponent(src.split(/[?#]/)[0]);
+    if (!extensions.includes(path.extname(pathname).substring(1).toLowerCase())) {
+        return null;
+    }
+    const file = path.join(inputDir, pathname);
+    return fs.existsSync(file) ? file : null;
+}
+
+/**
+ * Generates the images of a picture in the cache directory (if not cached
+ * yet) and copies them to the output directory.
+ * @param {string} file Source image path.
+ * @param {string} outputDir Output directory.
+ * @param {Object} options Picture options (see `defaultPictureOptions`).
+ * @returns {Promise<Object>} Image metadata (`eleventy-img`).
+ */
+async function pictureMetadata(file, outputDir, options = {}) {
+    const { formats, widths, cacheDir, urlPath } = { ...defaultPictureOptions, ...options };
+    let metadata;
+    try {
+        metadata = await Image(file, { formats, widths, outputDir: cacheDir, urlPath });
+    } catch (err) {
+        throw new Error(`pictureMetadata: cannot generate the images of ${file}: ${err.message}`, { cause: err });
+    }
+    for (const entry of Object.values(metadata).flat()) {
+        const outputPath = path.join(outputDir, entry.url);
+        if (!fs.existsSync(outputPath)) {
+            fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+            fs.copyFileSync(entry.outputPath, outputPath);
+        }
+    }
+    return metadata;
+}
+
+/**
+ * Renders the `<picture>` element of an image. The `<img>` element is lazy
+ * loaded and decoded asynchronously unless the attributes say otherwise, and
+ * has the intrinsic `width` and `height` of the image.
+ * @param {string} file Source image path.
+ * @param {Object} attributes `<img>` attributes (`alt` is required).
+ * @param {string} outputDir Output directory.
+ * @param {Object} options Picture options (see `defaultPictureOptions`).
+ * @returns {Promise<string>} Picture HTML.
+ */
+async function pictureHtml(file, attributes, outputDir, options = {}) {
+    if (typeof attributes.alt !== 'string') {
+        throw new Error('pictureHtml: missing alt attribute of image ' + util.inspect(file, { compact: true, colors: true }));
+    }
+    const { sizes } = { ...defaultPictureOptions, ...options };
+    const { src: _src, srcset: _srcset, width: _width, height: _height, ...imgAttributes } = attributes;
+    const metadata = await pictureMetadata(file, outputDir, options);
+    return Image.generateHTML(metadata, { sizes, loading: 'lazy', decoding: 'async', ...imgAttributes });
+}
+
+/**
+ * Replaces the `<img>` elements of an HTML document that reference local
+ * raster images (and are not in a `<picture>` element) by `<picture>`
+ * elements, keeping their attributes. An `<img>` element without `alt`
+ * attribute is an error (`alt=""` marks a decorative image).
+ * @param {string} html HTML document.
+ * @param {string} inputDir Input directory.
+ * @param {string} outputDir Output directory.
+ * @param {Object} options Picture options (see `defaultPictureOptions`).
+ * @returns {Promise<string>} HTML document.
+ */
+async function transformPictures(html, inputDir, outputDir, options = {}) {
+    const { extensions } = { ...defaultPictureOptions, ...options };
+    const images = [];
+    let pictureDepth = 0;
+    const parser = new Parser({
+        onopentag(name, attributes) {
+            if (name === 'picture') {
+                pictureDepth++;
+            } else if (name === 'img' && pictureDepth === 0) {
+                const file = imageFile(attributes.src, inputDir, extensions);
+                if (file) {
+                    images.push({ start: parser.startIndex, end: parser.endIndex + 1, file, attributes });
+                }
+            }
+        },
+        onclosetag(name) {
+            if (name === 'picture') {
+                pictureDepth--;
+            }
+        },
+    });
+    parser.end(html);
+    if (images.length === 0) {
+        return html;
+    }
+    const pictures = await Promise.all(images.map(({ file, attributes }) => pictureHtml(file, attributes, outputDir, options)));
+    let result = '';
+    let index = 0;
+    images.forEach(({ start, end }, imageIndex) => {
+        result += html.substring(index, start) + pictures[imageIndex];
+        index = end;
+    });
+    return result + html.substring(index);
+}
+
+/**
+ * Adds the `image` shortcode and the `picture` HTML transform to the
+ * configuration. The shortcode takes the image URL relative to the input
+ * directory, the `alt` text and other `<img>` attributes:
+ *
+ * ```
+ * {% image '/img/photo.png', 'Photo', { class: 'photo', sizes: '50vw' } %}
+ * ```
+ * @param {*} eleventyConfig
+ * @param {{input: string, output: string}} directories Input and output directories.
+ * @param {Object} options Picture options (see `defaultPictureOptions`).
+ */
+function configAddPictureTools(eleventyConfig, directories, options = {}) {
+    const { extensions } = { ...defaultPictureOptions, ...options };
+    eleventyConfig.addAsyncShortcode('image', async function (src, alt, attributes = {}) {
+        const file = imageFile(src, directories.input, extensions);
+        if (!file) {
+            throw new Error('image: image not found in the input directory: ' + util.inspect(src, { compact: true, colors: true }));
+        }
+        return pictureHtml(file, { ...attributes, alt }, directories.output, options);
+    });
+    eleventyConfig.addTransform('picture', async function (content) {
+        return (this.page.outputPath || '').endsWith('.html') ? transformPictures(content, directories.input, directories.output, options) : content;
+    });
+}
+
+export { defaultPictureOptions, imageFile, pictureMetadata, pictureHtml, transformPictures, configAddPictureTools };
+export default {
+    defaultPictureOptions,
+    imageFile,
+    pictureMetadata,
+    pictureHtml,
+    transformPictures,
+    configAddPictureTools,
+};
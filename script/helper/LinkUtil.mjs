@@ -0,0 +1,220 @@
+/**
+ * LinkUtil.mjs
+ * ============
+ *
+ * This file contains tools to check the links of the rendered pages of a
+ * static site, offline, after the build. Each page is checked for:
+ *
+ *  - internal links (`href`, `src` and `srcset`) that do not resolve to a file
+ *    of the build output, or to an element `id` of the target page;
+ *  - duplicate element `id` values;
+ *  - links with `target="_blank"` without `rel="noopener"`.
+ *
+ * External links are optionally checked against a local cache file with the
+ * allowed and denied URLs, so the check does not need network access.
+ *
+ * These tools were designed for use at build time in projects with Eleventy.
+ *
+ * MIT License, Copyright (c) 2016-2026 Sergio Lindau, mathjslab.com
+ */
+
+/**
+ * @module LinkUtil
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import util from 'node:util';
+import { parseDocument, DomUtils } from 'htmlparser2';
+
+/**
+ * Default link check options.
+ */
+const defaultLinkCheckOptions = {
+    /**
+     * URL prefixes of pages not checked.
+     */
+    exclude: [],
+    /**
+     * Path of the external link cache file (JSON with the `allow` and `deny`
+     * lists of URLs; an entry ending with `*` matches the URLs with the
+     * prefix). If `null`, external links are not checked.
+     */
+    externalCache: null,
+    /**
+     * Report of the external URLs not in the cache: `'ignore'`, `'warn'` or
+     * `'error'`.
+     */
+    unknownExternal: 'warn',
+};
+
+/**
+ * Link attributes by element name.
+ */
+const linkAttributes = {
+    a: ['href'],
+    area: ['href'],
+    link: ['href'],
+    img: ['src', 'srcset'],
+    source: ['src', 'srcset'],
+    script: ['src'],
+    iframe: ['src'],
+    audio: ['src'],
+    video: ['src', 'poster'],
+    track: ['src'],
+    embed: ['src'],
+    object: ['data'],
+    form: ['action'],
+};
+
+/**
+ * Extracts the links of a rendered page.
+ * @param {string} html Page HTML.
+ * @returns {{ids: string[], links: {element: string, attribute: string, url: string}[], blankWithoutNoopener: string[]}} Element identifiers, links and `target="_blank"` links without `rel="noopener"`.
+ */
+function pageLinks(html) {
+    const dom = parseDocument(html);
+    const elements = DomUtils.findAll(() => true, dom.children);
+    const links = [];
+    for (const node of elements) {
+        for (const attribute of linkAttributes[node.name] || []) {
+            const value = node.attribs[attribute];
+            if (value === undefined) {
+                continue;
+            }
+            const urls = attribute === 'srcset' ? value.split(',').map((candidate) => candidate.trim().split(/\s+/)[0]) : [value.trim()];
+            links.push(...urls.filter((url) => url.length > 0).map((url) => ({ element: node.name, attribute, url })));
+        }
+    }
+    return {
+        ids: elements.filter((node) => node.attribs.id !== undefined).map((node) => node.attribs.id),
+        links,
+        blankWithoutNoopener: elements
+            .filter((node) => node.attribs.target === '_blank' && !(node.attribs.rel || '').split(/\s+/).includes('noopener'))
+            .map((node) => node.attribs.href || ''),
+    };
+}
+
+/**
+ * Loads the external link cache file.
+ * @param {string} file Cache file path.
+ * @returns {{allow: string[], deny: string[]}} Allowed and denied URLs.
+ */
+function loadExternalCache(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error('loadExternalCache: cache file not found: ' + util.inspect(file, { compact: true, colors: true }));
+    }
+    const cache = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return { allow: cache.allow || [], deny: cache.deny || [] };
+}
+
+/**
+ * Tests if a URL matches an entry of a cache list.
+ * @param {string} url URL.
+ * @param {string[]} entries URLs, or URL prefixes ending with `*`.
+ * @returns {boolean} `true` if the URL matches an entry.
+ */
+function matchUrl(url, entries) {
+    return entries.some((entry) => (entry.endsWith('*') ? url.startsWith(entry.slice(0, -1)) : url === entry));
+}
+
+/**
+ * Checks the links of the pages of the output directory.
+ * @param {string} outputDir Output directory.
+ * @param {string} siteUrl Site URL, with the path prefix of the site (absolute links to the site are internal links).
+ * @param {Object} options Link check options (see `defaultLinkCheckOptions`).
+ * @returns {{pages: number, links: number, external: number, unknown: string[]}} Number of pages, internal links and external links checked, and the external URLs not in the cache.
+ */
+function checkLinks(outputDir, siteUrl, options = {}) {
+    const { exclude, externalCache, unknownExternal } = { ...defaultLinkCheckOptions, ...options };
+    if (!fs.existsSync(outputDir)) {
+        throw new Error('checkLinks: output directory not found: ' + util.inspect(outputDir, { compact: true, colors: true }));
+    }
+    const cache = externalCache ? loadExternalCache(externalCache) : null;
+    const { origin, pathname: basePath } = new URL(siteUrl.replace(/\/?$/, '/'));
+    const files = new Set(
+        fs
+            .readdirSync(outputDir, { recursive: true })
+            .map((file) => String(file).split(path.sep).join('/'))
+            .filter((file) => fs.statSync(path.join(outputDir, file)).isFile()),
+    );
+    const parsed = new Map();
+    const page = (file) => {
+        if (!parsed.has(file)) {
+            parsed.set(file, pageLinks(fs.readFileSync(path.join(outputDir, file), 'utf-8')));
+        }
+        return parsed.get(file);
+    };
+    // File of a URL path: the file itself, or the `index.html` file of the directory.
+    const targetFile = (pathname) => {
+        if (!pathname.startsWith(basePath)) {
+            return undefined;
+        }
+        const file = pathname.substring(basePath.length);
+        return [file, path.posix.join(file, 'index.html')].find((candidate) => files.has(candidate));
+    };
+    const errors = [];
+    const unknown = new Set();
+    let checkedPages = 0;
+    let checkedLinks = 0;
+    let checkedExternal = 0;
+    for (const file of [...files].filter((file) => file.endsWith('.html')).sort()) {
+        const pagePath = '/' + file.replace(/(^|\/)index\.html$/, '$1');
+        const pageUrl = new URL(basePath + pagePath.substring(1), origin);
+        if (exclude.some((prefix) => pagePath.startsWith(prefix))) {
+            continue;
+        }
+        checkedPages++;
+        const { ids, links, blankWithoutNoopener } = page(file);
+        const seen = new Set();
+        for (const id of ids) {
+            if (seen.has(id)) {
+                errors.push(`${file}: duplicate id ${id}`);
+            }
+            seen.add(id);
+        }
+        for (const href of blankWithoutNoopener) {
+            errors.push(`${file}: target="_blank" without rel="noopener": ${href}`);
+        }
+        for (const { element, attribute, url } of links) {
+            if (/^(mailto|tel|javascript|data|blob):/i.test(url)) {
+                continue;
+            }
+            const target = new URL(url, pageUrl);
+            if (target.origin !== origin) {
+                if (cache && /^https?:$/.test(target.protocol)) {
+                    checkedExternal++;
+                    const externalUrl = target.href.replace(/#.*$/, '');
+                    if (matchUrl(externalUrl, cache.deny)) {
+                        errors.push(`${file}: <${element} ${attribute}> denied external URL ${externalUrl}`);
+                    } else if (!matchUrl(externalUrl, cache.allow)) {
+                        unknown.add(externalUrl);
+                    }
+                }
+                continue;
+            }
+            checkedLinks++;
+            const linkedFile = targetFile(decodeURIComponent(target.pathname));
+            if (!linkedFile) {
+                errors.push(`${file}: <${element} ${attribute}> ${url} not found`);
+            } else if (target.hash.length > 1 && linkedFile.endsWith('.html') && !page(linkedFile).ids.includes(decodeURIComponent(target.hash.slice(1)))) {
+                errors.push(`${file}: <${element} ${attribute}> ${url} anchor not found in ${linkedFile}`);
+            }
+        }
+    }
+    if (unknownExternal === 'error') {
+        errors.push(...[...unknown].sort().map((url) => `external URL not in the cache: ${url}`));
+    }
+    if (errors.length > 0) {
+        throw new Error('checkLinks: invalid links:\n' + errors.join('\n'));
+    }
+    return { pages: checkedPages, links: checkedLinks, external: checkedExternal, unknown: unknownExternal === 'warn' ? [...unknown].sort() : [] };
+}
+
+export { defaultLinkCheckOptions, pageLinks, loadExternalCache, checkLinks };
+export default {
+    defaultLinkCheckOptions,
+    pageLinks,
+    loadExternalCache,
+    checkLinks,
+};
@@ -0,0 +1,271 @@
+/**
+ * OgImageUtil.mjs
+ * ===============
+ *
+ * This file contains tools to generate the Open Graph images of a static
+ * site: one PNG card per page, rendered with Resvg from a Nunjucks SVG
+ * template with the page title and description, and a check of the build
+ * output that the `og:image:width` and `og:image:height` declared by the
+ * pages match the size of the image files. The rendered cards are kept in a
+ * cache directory, keyed by a hash of the SVG and of the fonts, and copied to the output
+ * directory, so unchanged cards are not rendered again by the next builds.
+ *
+ * These tools were designed for use at build time in projects with Eleventy.
+ *
+ * MIT License, Copyright (c) 2016-2026 Sergio Lindau, mathjslab.com
+ */
+
+/**
+ * @module OgImageUtil
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import util from 'node:util';
+import crypto from 'node:crypto';
+import Nunjucks from 'nunjucks';
+import { Resvg } from '@resvg/resvg-js';
+import { parseDocument, DomUtils } from 'htmlparser2';
+
+/**
+ * Default Open Graph image options.
+ */
+const defaultOgImageOptions = {
+    /**
+     * SVG template, relative to the includes directory. The template data is
+     * the page `title` and `description` split in `titleLines` and
+     * `descriptionLines`, the text direction `dir`, the image `width` and
+     * `height`, the `logo` data URI, the site URL `host` and the `site`
+     * global data.
+     */
+    template: 'og-image.svg.njk',
+    /**
+     * Logo image, relative to the input directory.
+     */
+    logo: 'img/logo.svg',
+    /**
+     * Font files (TrueType or OpenType) of the text, relative to the includes
+     * directory. The system fonts are not loaded, so the cards are the same on
+     * every build machine.
+     */
+    fonts: [],
+    /**
+     * Font family of the text without an available `font-family`.
+     */
+    defaultFontFamily: 'sans-serif',
+    /**
+     * Image width.
+     */
+    width: 1200,
+    /**
+     * Image height.
+     */
+    height: 630,
+    /**
+     * Maximum line length and number of lines of the title.
+     */
+    titleLine: 32,
+    titleLines: 2,
+    /**
+     * Maximum line length and number of lines of the description.
+     */
+    descriptionLine: 64,
+    descriptionLines: 3,
+    /**
+     * Directory of the images, relative to the output directory.
+     */
+    output: 'img/og',
+    /**
+     * Cache directory of the rendered images, relative to the project root.
+     */
+    cacheDir: '.cache/og',
+};
+
+/**
+ * Splits a text in lines of a maximum length at word boundaries. The last
+ * line ends with an ellipsis if the text does not fit.
+ * @param {string} text Text.
+ * @param {number} lineLength Maximum line length.
+ * @param {number} maxLines Maximum number of lines.
+ * @returns {string[]} Lines.
+ */
+function wrapText(text, lineLength, maxLines) {
+    const lines = [];
+    for (const word of String(text).trim().split(/\s+/).filter(Boolean)) {
+        const line = lines.length > 0 ? lines[lines.length - 1] : null;
+        if (line !== null && line.length + 1 + word.length <= lineLength) {
+            lines[lines.length - 1] = line + ' ' + word;
+        } else {
+            lines.push(word);
+        }
+    }
+    if (lines.length > maxLines) {
+        lines.length = maxLines;
+        const last = lines[maxLines - 1];
+        lines[maxLines - 1] = (last.length + 2 > lineLength ? last.substring(0, last.lastIndexOf(' ')) : last) + ' …';
+    }
+    return lines;
+}
+
+/**
+ * Reads the size of a PNG image from its header.
+ * @param {Buffer} buffer PNG data.
+ * @returns {{width: number, height: number}} Image size.
+ */
+function pngSize(buffer) {
+    if (buffer.length < 24 || buffer.toString('latin1', 1, 4) !== 'PNG' || buffer.toString('latin1', 12, 16) !== 'IHDR') {
+        throw new Error('pngSize: invalid PNG data');
+    }
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+/**
+ * Gets the path of the Open Graph image of a page, relative to the output
+ * directory (`/en/archive/` is `img/og/en/archive.png`, `/` is
+ * `img/og/index.png`).
+ * @param {string} url Page URL.
+ * @param {string} output Directory of the images.
+ * @returns {string} Image path.
+ */
+function ogImageFile(url, output = defaultOgImageOptions.output) {
+    const name = String(url)
+        .replace(/^\/+|\/+$/g, '')
+        .replace(/\.html$/, '');
+    return `${output}/${name || 'index'}.png`;
+}
+
+/**
+ * Renders an SVG image to PNG at its own size, with the given fonts only.
+ * @param {string} svg SVG image.
+ * @param {string[]} fontFiles Font file paths.
+ * @param {string} defaultFontFamily Default font family.
+ * @returns {Buffer} PNG data.
+ */
+function renderSvg(svg, fontFiles, defaultFontFamily) {
+    return Buffer.from(new Resvg(svg, { font: { fontFiles, loadSystemFonts: false, defaultFontFamily } }).render().asPng());
+}
+
+/**
+ * Creates the Open Graph image filters. The `ogImage` filter renders the card
+ * of a page, writes it to the output directory and returns its URL path,
+ * size and type:
+ *
+ * ```
+ * {% set ogImage = page.url | ogImage({ title: pageTitle, description: pageDescription, dir: pageData.dir }) %}
+ * ```
+ * @param {{input: string, includes: string, output: string}} directories Input, includes (relative to the input directory) and output directories.
+ * @param {Object} options Open Graph image options (see `defaultOgImageOptions`).
+ * @returns Asynchronous filters.
+ */
+function ogImageFilters(directories, options = {}) {
+    const { template, logo, fonts, defaultFontFamily, width, height, titleLine, titleLines, descriptionLine, descriptionLines, output, cacheDir } = { ...defaultOgImageOptions, ...options };
+    const environment = new Nunjucks.Environment(new Nunjucks.FileSystemLoader(path.resolve(directories.input, directories.includes)), { autoescape: true });
+    const logoUri = 'data:image/svg+xml;base64,' + fs.readFileSync(path.join(directories.input, logo)).toString('base64');
+    const fontFiles = fonts.map((font) => path.resolve(directories.input, directories.includes, font));
+    /* The fonts are part of the cache key: a font change renders the cards again. */
+    const fontHash = crypto.createHash('sha256').update(defaultFontFamily);
+    for (const file of fontFiles) {
+        if (!fs.existsSync(file)) {
+            throw new Error('ogImageFilters: font file not found: ' + util.inspect(file, { compact: true, colors: true }));
+        }
+        fontHash.update('\0').update(fs.readFileSync(file));
+    }
+    const fontKey = fontHash.digest('hex');
+    return {
+        ogImage: async function (url, card = {}) {
+            if (typeof card.title !== 'string' || card.title.length === 0) {
+                throw new Error('ogImage: missing title of page ' + util.inspect(url, { compact: true, colors: true }));
+            }
+            const site = (this.ctx && this.ctx.site) || {};
+            const svg = environment.render(template, {
+                ...card,
+                dir: card.dir || 'ltr',
+                titleLines: wrapText(card.title, titleLine, titleLines),
+                descriptionLines: wrapText(card.description || '', descriptionLine, descriptionLines),
+                width,
+                height,
+                logo: logoUri,
+                host: site.url ? new URL(site.url).host : '',
+                site,
+            });
+            const cacheFile = path.join(cacheDir, crypto.createHash('sha256').update(fontKey).update(svg).digest('hex').substring(0, 16) + '.png');
+            if (!fs.existsSync(cacheFile)) {
+                let png;
+                try {
+                    png = renderSvg(svg, fontFiles, defaultFontFamily);
+                } catch (err) {
+                    throw new Error(`ogImage: cannot render the image of page ${url}: ${err.message}`, { cause: err });
+                }
+                const size = pngSize(png);
+                if (size.width !== width || size.height !== height) {
+                    throw new Error(`ogImage: the image of page ${url} is ${size.width}x${size.height}, expected ${width}x${height}`);
+                }
+                fs.mkdirSync(cacheDir, { recursive: true });
+                fs.writeFileSync(cacheFile, png);
+            }
+            const file = ogImageFile(url, output);
+            fs.mkdirSync(path.dirname(path.join(directories.output, file)), { recursive: true });
+            fs.copyFileSync(cacheFile, path.join(directories.output, file));
+            return { url: '/' + file, width, height, type: 'image/png' };
+        },
+    };
+}
+
+/**
+ * Checks the Open Graph images declared by the pages of the output
+ * directory: the `og:image` file exists in the output directory and its size
+ * is the declared `og:image:width` and `og:image:height`.
+ * @param {string} outputDir Output directory.
+ * @param {string} pathPrefix Path prefix of the site URLs (ending with `/`), removed from the image URLs.
+ * @returns {{pages: number, images: number}} Number of pages checked and of distinct images.
+ */
+function checkOgImages(outputDir, pathPrefix = '/') {
+    if (!fs.existsSync(outputDir)) {
+        throw new Error('checkOgImages: output directory not found: ' + util.inspect(outputDir, { compact: true, colors: true }));
+    }
+    const sizes = new Map();
+    const errors = [];
+    const pages = fs
+        .readdirSync(outputDir, { recursive: true })
+        .map((file) => String(file).split(path.sep).join('/'))
+        .filter((file) => file.endsWith('.html'))
+        .sort();
+    let checked = 0;
+    for (const file of pages) {
+        const dom = parseDocument(fs.readFileSync(path.join(outputDir, file), 'utf-8'));
+        const meta = Object.fromEntries(
+            DomUtils.findAll((node) => node.name === 'meta' && Boolean(node.attribs.property), dom.children).map((node) => [node.attribs.property, node.attribs.content]),
+        );
+        if (!meta['og:image']) {
+            continue;
+        }
+        checked++;
+        const imageUrl = decodeURIComponent(new URL(meta['og:image'], 'http://localhost/').pathname);
+        const pathname = imageUrl.startsWith(pathPrefix) ? '/' + imageUrl.substring(pathPrefix.length) : imageUrl;
+        if (!sizes.has(pathname)) {
+            const imagePath = path.join(outputDir, pathname);
+            sizes.set(pathname, fs.existsSync(imagePath) ? pngSize(fs.readFileSync(imagePath)) : null);
+        }
+        const size = sizes.get(pathname);
+        if (!size) {
+            errors.push(`${file}: image ${pathname} not found`);
+        } else if (String(size.width) !== meta['og:image:width'] || String(size.height) !== meta['og:image:height']) {
+            errors.push(`${file}: image ${pathname} is ${size.width}x${size.height}, declared ${meta['og:image:width']}x${meta['og:image:height']}`);
+        }
+    }
+    if (errors.length > 0) {
+        throw new Error('checkOgImages: invalid Open Graph images:\n' + errors.join('\n'));
+    }
+    return { pages: checked, images: sizes.size };
+}
+
+export { defaultOgImageOptions, wrapText, pngSize, ogImageFile, renderSvg, ogImageFilters, checkOgImages };
+export default {
+    defaultOgImageOptions,
+    wrapText,
+    pngSize,
+    ogImageFile,
+    renderSvg,
+    ogImageFilters,
+    checkOgImages,
+};
@@ -0,0 +1,187 @@
+/**
+ * PwaUtil.mjs
+ * ===========
+ *
+ * This file contains tools to make a static site a Progressive Web App: the
+ * service worker script, written to the build output after the build, with
+ * a precache list of the output files and a cache versioned by a hash of
+ * their content. The service worker precaches the files on install, deletes
+ * the caches of previous versions on activation, and serves same-origin
+ * requests network first for pages (falling back to the cache when offline)
+ * and cache first for other files.
+ *
+ * These tools were designed for use at build time in projects with Eleventy.
+ *
+ * MIT License, Copyright (c) 2016-2026 Sergio Lindau, mathjslab.com
+ */
+
+/**
+ * @module PwaUtil
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import util from 'node:util';
+import crypto from 'node:crypto';
+
+/**
+ * Default service worker options.
+ */
+const defaultServiceWorkerOptions = {
+    /**
+     * Service worker file name, relative to the output directory.
+     */
+    filename: 'sw.js',
+    /**
+     * Cache name prefix. The cache name is the prefix followed by the version.
+     */
+    cachePrefix: 'site-',
+    /**
+     * Extensions of the precached files.
+     */
+    extensions: ['html', 'css', 'json', 'webmanifest', 'svg', 'png', 'ico', 'jpg', 'jpeg', 'webp', 'avif', 'pdf'],
+    /**
+     * URL prefixes of files not precached.
+     */
+    exclude: [],
+};
+
+/**
+ * Lists the files of a directory recursively.
+ * @param {string} directory Directory path.
+ * @returns {string[]} File paths relative to the directory, with `/` separators, sorted.
+ */
+function listFiles(directory) {
+    return fs
+        .readdirSync(directory, { recursive: true, withFileTypes: true })
+        .filter((entry) => entry.isFile())
+        .map((entry) => path.relative(directory, path.join(entry.parentPath, entry.name)).split(path.sep).join('/'))
+        .sort();
+}
+
+/**
+ * Gets the URL of an output file: `index.html` files are served at their
+ * directory URL.
+ * @param {string} file File path relative to the output directory.
+ * @returns {string} URL path.
+ */
+function fileUrl(file) {
+    return '/' + file.replace(/(^|\/)index\.html$/, '$1');
+}
+
+/**
+ * Lists the files of the output directory to precache.
+ * @param {string} outputDir Output directory.
+ * @param {Object} options Service worker options (`filename`, `extensions` and `exclude`).
+ * @returns {{file: string, url: string}[]} Files (relative to the output directory) and URLs.
+ */
+function precacheFiles(outputDir, options = {}) {
+    const { filename, extensions, exclude } = { ...defaultServiceWorkerOptions, ...options };
+    return listFiles(outputDir)
+        .filter((file) => file !== filename && extensions.includes(path.extname(file).substring(1).toLowerCase()))
+        .map((file) => ({ file, url: fileUrl(file) }))
+        .filter(({ url }) => !exclude.some((prefix) => url.startsWith(prefix)));
+}
+
+/**
+ * Computes the cache version of a set of output files, a hash of their paths
+ * and contents. The version changes when any precached file changes.
+ * @param {string} outputDir Output directory.
+ * @param {{file: string}[]} files Files relative to the output directory.
+ * @returns {string} Cache version (12 hexadecimal digits).
+ */
+function cacheVersion(outputDir, files) {
+    const hash = crypto.createHash('sha256');
+    for (const { file } of files) {
+        hash.update(file)
+            .update('\0')
+            .update(fs.readFileSync(path.join(outputDir, file)))
+            .update('\0');
+    }
+    return hash.digest('hex').substring(0, 12);
+}
+
+/**
+ * Generates the service worker script.
+ * @param {string} cacheName Cache name.
+ * @param {string} cachePrefix Cache name prefix, used to find the caches of previous versions.
+ * @param {string[]} urls URLs to precache.
+ * @returns {string} Service worker script.
+ */
+function serviceWorkerScript(cacheName, cachePrefix, urls) {
+    return `const cacheName = ${JSON.stringify(cacheName)};
+const cachePrefix = ${JSON.stringify(cachePrefix)};
+const precacheUrls = ${JSON.stringify(urls, null, 4)};
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches
+            .open(cacheName)
+            .then((cache) => cache.addAll(precacheUrls))
+            .then(() => self.skipWaiting()),
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches
+            .keys()
+            .then((names) => Promise.all(names.filter((name) => name.startsWith(cachePrefix) && name !== cacheName).map((name) => caches.delete(name))))
+            .then(() => self.clients.claim()),
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request)
+                .then((response) => {
+                    if (response.ok) {
+                        const copy = response.clone();
+                        caches.open(cacheName).then((cache) => cache.put(request, copy));
+                    }
+                    return response;
+                })
+                .catch(() => caches.match(request, { ignoreSearch: true }).then((response) => response || Response.error())),
+        );
+    } else {
+        event.respondWith(caches.match(request).then((response) => response || fetch(request)));
+    }
+});
+`;
+}
+
+/**
+ * Writes the service worker of the output directory, precaching the output
+ * files with a cache versioned by their content.
+ * @param {string} outputDir Output directory.
+ * @param {Object} options Service worker options (see `defaultServiceWorkerOptions`).
+ * @returns {{filename: string, cacheName: string, urls: string[]}} Service worker file name, cache name and precached URLs.
+ */
+function writeServiceWorker(outputDir, options = {}) {
+    if (!fs.existsSync(outputDir)) {
+        throw new Error('writeServiceWorker: output directory not found: ' + util.inspect(outputDir, { compact: true, colors: true }));
+    }
+    const { filename, cachePrefix } = { ...defaultServiceWorkerOptions, ...options };
+    const files = precacheFiles(outputDir, options);
+    const cacheName = cachePrefix + cacheVersion(outputDir, files);
+    // Precached URLs relative to the service worker, so the site can be served under a path prefix.
+    const urls = files.map(({ url }) => '.' + url);
+    fs.writeFileSync(path.join(outputDir, filename), serviceWorkerScript(cacheName, cachePrefix, urls));
+    return { filename, cacheName, urls };
+}
+
+export { defaultServiceWorkerOptions, listFiles, fileUrl, precacheFiles, cacheVersion, serviceWorkerScript, writeServiceWorker };
+export default {
+    defaultServiceWorkerOptions,
+    listFiles,
+    fileUrl,
+    precacheFiles,
+    cacheVersion,
+    serviceWorkerScript,
+    writeServiceWorker,
+};
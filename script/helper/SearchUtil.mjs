@@ -0,0 +1,282 @@
+/**
+ * SearchUtil.mjs
+ * ==============
+ *
+ * This file contains tools to build a client-side full-text search index of
+ * a static site from its build output. The text is extracted from the `main`
+ * element of the rendered pages, split by the sections with an `id` (so the
+ * results can link to the section anchors), and from the PDF files linked by
+ * the pages. One index is written per locale, the locale being the first
+ * segment of the page URLs (`/en/...`). The index is a JSON object:
+ *
+ * ```
+ * {
+ *     locale: string,
+ *     documents: [url: string, title: string, excerpt: string, length: number][],
+ *     terms: { [term: string]: number[] } // document index and term frequency pairs
+ * }
+ * ```
+ *
+ * The title terms are counted `titleWeight` times in the frequencies, and the
+ * document length (number of terms) is used by the browser to rank the
+ * results (BM25).
+ *
+ * Terms are the words of the text (letters and digits, two or more
+ * characters) in lower case without diacritics (see `terms`). The browser
+ * normalizes the query in the same way.
+ *
+ * These tools were designed for use at build time in projects with Eleventy.
+ *
+ * MIT License, Copyright (c) 2016-2026 Sergio Lindau, mathjslab.com
+ */
+
+/**
+ * @module SearchUtil
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import util from 'node:util';
+import { parseDocument, DomUtils } from 'htmlparser2';
+
+/**
+ * Default search index options.
+ */
+const defaultSearchIndexOptions = {
+    /**
+     * Directory of the index files (`<locale>.json`), relative to the output
+     * directory.
+     */
+    output: 'search',
+    /**
+     * URL prefixes of pages not indexed.
+     */
+    exclude: [],
+    /**
+     * Maximum length of the result excerpts.
+     */
+    excerptLength: 160,
+    /**
+     * Path prefix of the site URLs (ending with `/`), added to the document
+     * URLs of the index.
+     */
+    pathPrefix: '/',
+};
+
+/**
+ * Weight of the title terms in the term frequencies.
+ */
+const titleWeight = 3;
+
+/**
+ * Elements whose text is not indexed.
+ */
+const ignoredElements = new Set(['script', 'style', 'noscript', 'template', 'svg', 'math', 'button', 'nav']);
+
+/**
+ * Splits a text into search terms: words of two or more letters or digits, in
+ * lower case and without diacritics.
+ * @param {string} text Text.
+ * @returns {string[]} Terms.
+ */
+function terms(text) {
+    return (
+        String(text)
+            .normalize('NFD')
+            .replace(/\p{M}/gu, '')
+            .toLowerCase()
+            .match(/[\p{L}\p{N}]{2,}/gu) || []
+    );
+}
+
+/**
+ * Collapses the white space of a text.
+ * @param {string} text Text.
+ * @returns {string} Text.
+ */
+function collapse(text) {
+    return String(text).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Truncates a text at a word boundary.
+ * @param {string} text Text.
+ * @param {number} length Maximum length.
+ * @returns {string} Excerpt.
+ */
+function excerpt(text, length) {
+    return text.length > length ? text.substring(0, text.lastIndexOf(' ', length)) + ' …' : text;
+}
+
+/**
+ * Gets the indexed text of a DOM node, without the text of ignored and hidden
+ * elements.
+ * @param {*} node DOM node (`htmlparser2`).
+ * @param {boolean} headings Include the text of the headings.
+ * @returns {string} Text.
+ */
+function nodeText(node, headings = true) {
+    if (node.type === 'text') {
+        return node.data;
+    }
+    if (
+        !node.children ||
+        (node.name && (ignoredElements.has(node.name) || (!headings && /^h[1-6]$/.test(node.name)) || node.attribs['aria-hidden'] === 'true' || 'hidden' in node.attribs))
+    ) {
+        return '';
+    }
+    return node.children.map((child) => nodeText(child, headings)).join(node.name && /^(p|div|li|h[1-6]|dt|dd|td|th|br|section|article)$/.test(node.name) ? ' ' : '');
+}
+
+/**
+ * Extracts the search documents of a rendered page: one document per section
+ * with an `id` in the `main` element (linked by its anchor, if there is more
+ * than one), or the whole `main` element. The excerpts omit the headings.
+ * @param {string} html Page HTML.
+ * @param {string} url Page URL.
+ * @param {number} excerptLength Maximum length of the excerpts.
+ * @returns {{url: string, title: string, text: string, excerpt: string, links: string[]}[]} Documents, with the URLs of their links.
+ */
+function pageDocuments(html, url, excerptLength = defaultSearchIndexOptions.excerptLength) {
+    const dom = parseDocument(html);
+    const main = DomUtils.findOne((node) => node.name === 'main', dom.children);
+    if (!main) {
+        return [];
+    }
+    const titleElement = DomUtils.findOne((node) => node.name === 'title', dom.children);
+    const pageTitle = titleElement ? collapse(DomUtils.textContent(titleElement)) : url;
+    const sections = DomUtils.findAll((node) => node.name === 'section' && Boolean(node.attribs.id), main.children);
+    const heading = (node) => DomUtils.findOne((child) => /^h[1-6]$/.test(child.name), node.children);
+    return (sections.length > 0 ? sections : [main]).map((node) => {
+        const headingElement = sections.length > 0 ? heading(node) : null;
+        return {
+            url: sections.length > 1 ? `${url}#${node.attribs.id}` : url,
+            title: headingElement ? collapse(DomUtils.textContent(headingElement)) : pageTitle,
+            text: collapse(nodeText(node)),
+            excerpt: excerpt(collapse(nodeText(node, false)), excerptLength),
+            links: DomUtils.findAll((child) => child.name === 'a' && Boolean(child.attribs.href), node.children).map((child) => child.attribs.href),
+        };
+    });
+}
+
+/**
+ * Extracts the search document of a PDF file, titled by its metadata.
+ * @param {string} file PDF file path.
+ * @param {string} url PDF URL.
+ * @param {number} excerptLength Maximum length of the excerpt.
+ * @returns {Promise<{url: string, title: string, text: string, excerpt: string}>} Document.
+ */
+async function pdfDocument(file, url, excerptLength = defaultSearchIndexOptions.excerptLength) {
+    const { getDocumentProxy, getMeta, extractText } = await import('unpdf');
+    let pdf;
+    try {
+        pdf = await getDocumentProxy(new Uint8Array(fs.readFileSync(file)));
+    } catch (err) {
+        throw new Error(`pdfDocument: cannot read PDF file ${file}: ${err.message}`, { cause: err });
+    }
+    const { info } = await getMeta(pdf);
+    const text = collapse((await extractText(pdf, { mergePages: true })).text);
+    return {
+        url,
+        title: collapse((info && info.Title) || path.basename(file)),
+        text,
+        excerpt: excerpt(text, excerptLength),
+    };
+}
+
+/**
+ * Builds a search index of a list of documents.
+ * @param {string} locale Locale.
+ * @param {{url: string, title: string, text: string, excerpt: string}[]} documents Documents.
+ * @returns {Object} Search index.
+ */
+function searchIndex(locale, documents) {
+    const index = Object.create(null);
+    const lengths = [];
+    documents.forEach((document, documentIndex) => {
+        const frequency = Object.create(null);
+        for (const term of terms(document.title)) {
+            frequency[term] = (frequency[term] || 0) + titleWeight;
+        }
+        for (const term of terms(document.text)) {
+            frequency[term] = (frequency[term] || 0) + 1;
+        }
+        for (const [term, count] of Object.entries(frequency)) {
+            (index[term] ||= []).push(documentIndex, count);
+        }
+        lengths.push(Object.values(frequency).reduce((sum, count) => sum + count, 0));
+    });
+    return {
+        locale,
+        documents: documents.map(({ url, title, excerpt }, documentIndex) => [url, title, excerpt, lengths[documentIndex]]),
+        terms: index,
+    };
+}
+
+/**
+ * Writes the search index of each locale from the build output: the rendered
+ * pages under `/<locale>/` and the PDF files they link, titled as the first
+ * document linking them.
+ * @param {string} outputDir Output directory.
+ * @param {Object} options Search index options (see `defaultSearchIndexOptions`).
+ * @returns {Promise<{locale: string, file: string, documents: number, terms: number}[]>} Written indexes.
+ */
+async function writeSearchIndex(outputDir, options = {}) {
+    if (!fs.existsSync(outputDir)) {
+        throw new Error('writeSearchIndex: output directory not found: ' + util.inspect(outputDir, { compact: true, colors: true }));
+    }
+    const { output, exclude, excerptLength, pathPrefix } = { ...defaultSearchIndexOptions, ...options };
+    const pages = fs
+        .readdirSync(outputDir, { recursive: true })
+        .map((file) => String(file).split(path.sep).join('/'))
+        .filter((file) => file.endsWith('.html'))
+        .sort()
+        .map((file) => ({ file, url: '/' + file.replace(/(^|\/)index\.html$/, '$1') }))
+        .filter(({ url }) => /^\/[^/]+\//.test(url) && !exclude.some((prefix) => url.startsWith(prefix)));
+    const locales = {};
+    const pdfs = {};
+    for (const { file, url } of pages) {
+        const locale = url.split('/')[1];
+        const documents = pageDocuments(fs.readFileSync(path.join(outputDir, file), 'utf-8'), url, excerptLength);
+        if (documents.length === 0) {
+            continue;
+        }
+        const entry = (locales[locale] ||= { documents: [], pdfs: new Map() });
+        for (const { links, ...document } of documents) {
+            entry.documents.push(document);
+            for (const link of links) {
+                const pdfUrl = new URL(link, `http://localhost${pathPrefix}${url.substring(1)}`);
+                const pdfPath = pdfUrl.pathname.startsWith(pathPrefix) ? '/' + pdfUrl.pathname.substring(pathPrefix.length) : null;
+                if (pdfUrl.host === 'localhost' && pdfPath && pdfPath.endsWith('.pdf') && !entry.pdfs.has(pdfPath) && fs.existsSync(path.join(outputDir, pdfPath))) {
+                    entry.pdfs.set(pdfPath, document.title);
+                }
+            }
+        }
+    }
+    const result = [];
+    for (const [locale, entry] of Object.entries(locales)) {
+        for (const [pdfUrl, title] of [...entry.pdfs].sort(([a], [b]) => a.localeCompare(b))) {
+            pdfs[pdfUrl] ||= await pdfDocument(path.join(outputDir, pdfUrl), pdfUrl, excerptLength);
+            entry.documents.push({ ...pdfs[pdfUrl], title });
+        }
+        const index = searchIndex(
+            locale,
+            entry.documents.map((document) => ({ ...document, url: pathPrefix + document.url.substring(1) })),
+        );
+        const file = `${output}/${locale}.json`;
+        fs.mkdirSync(path.join(outputDir, output), { recursive: true });
+        fs.writeFileSync(path.join(outputDir, file), JSON.stringify(index));
+        result.push({ locale, file, documents: index.documents.length, terms: Object.keys(index.terms).length });
+    }
+    return result;
+}
+
+export { defaultSearchIndexOptions, terms, pageDocuments, pdfDocument, searchIndex, writeSearchIndex };
+export default {
+    defaultSearchIndexOptions,
+    terms,
+    pageDocuments,
+    pdfDocument,
+    searchIndex,
+    writeSearchIndex,
+};
@@ -0,0 +1,218 @@
+/**
+ * SeoUtil.mjs
+ * ===========
+ *
+ * This file contains tools to audit the rendered pages of a static site for
+ * technical SEO issues, offline, after the build. Each page is checked for:
+ *
+ *  - the length of the title and of the meta description;
+ *  - a canonical link to the page itself;
+ *  - hreflang reciprocity: every alternate page links back to the page;
+ *  - images without an `alt` attribute;
+ *  - the heading order: one `h1` and no skipped heading levels.
+ *
+ * The audit report is an HTML section written in place of a placeholder
+ * comment of a page of the build output (the SEO diagnostics page).
+ *
+ * These tools were designed for use at build time in projects with Eleventy.
+ *
+ * MIT License, Copyright (c) 2016-2026 Sergio Lindau, mathjslab.com
+ */
+
+/**
+ * @module SeoUtil
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import util from 'node:util';
+import { parseDocument, DomUtils } from 'htmlparser2';
+
+/**
+ * Default SEO audit options.
+ */
+const defaultSeoAuditOptions = {
+    /**
+     * Page of the audit report, relative to the output directory.
+     */
+    file: 'seo.html',
+    /**
+     * Placeholder of the audit report in the page.
+     */
+    placeholder: '<!-- seo-audit -->',
+    /**
+     * Recommended minimum and maximum title length.
+     */
+    titleLength: [10, 60],
+    /**
+     * Recommended minimum and maximum description length.
+     */
+    descriptionLength: [50, 160],
+    /**
+     * URL prefixes of pages not audited.
+     */
+    exclude: [],
+};
+
+/**
+ * Escapes a text for HTML.
+ * @param {string} text Text.
+ * @returns {string} Escaped text.
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"]/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
+
+/**
+ * Lists the HTML pages of the output directory.
+ * @param {string} outputDir Output directory.
+ * @returns {{file: string, url: string}[]} Files (relative to the output directory) and URLs, sorted.
+ */
+function outputPages(outputDir) {
+    return fs
+        .readdirSync(outputDir, { recursive: true })
+        .map((file) => String(file).split(path.sep).join('/'))
+        .filter((file) => file.endsWith('.html'))
+        .sort()
+        .map((file) => ({ file, url: '/' + file.replace(/(^|\/)index\.html$/, '$1') }));
+}
+
+/**
+ * Extracts the SEO data of a rendered page.
+ * @param {string} html Page HTML.
+ * @param {string} siteUrl Site URL, with the path prefix of the site, to resolve the canonical and alternate links to page URLs.
+ * @returns {{title: string, description: string, canonical: string|null, alternates: {hreflang: string, url: string}[], imagesWithoutAlt: string[], headings: number[]}} Page data.
+ */
+function pageSeoData(html, siteUrl) {
+    const dom = parseDocument(html);
+    const find = (test) => DomUtils.findAll(test, dom.children);
+    const base = new URL(siteUrl.replace(/\/?$/, '/'));
+    const pageUrl = (href) => {
+        const url = new URL(href, base);
+        return url.origin === base.origin && url.pathname.startsWith(base.pathname) ? '/' + url.pathname.substring(base.pathname.length) : url.href;
+    };
+    const title = find((node) => node.name === 'title')[0];
+    const description = find((node) => node.name === 'meta' && node.attribs.name === 'description')[0];
+    const canonical = find((node) => node.name === 'link' && node.attribs.rel === 'canonical')[0];
+    return {
+        title: title ? DomUtils.textContent(title).replace(/\s+/g, ' ').trim() : '',
+        description: description ? (description.attribs.content || '').trim() : '',
+        canonical: canonical ? pageUrl(canonical.attribs.href) : null,
+        alternates: find((node) => node.name === 'link' && node.attribs.rel === 'alternate' && Boolean(node.attribs.hreflang)).map((node) => ({
+            hreflang: node.attribs.hreflang,
+            url: pageUrl(node.attribs.href),
+        })),
+        imagesWithoutAlt: find((node) => node.name === 'img' && !('alt' in node.attribs)).map((node) => node.attribs.src || ''),
+        headings: find((node) => /^h[1-6]$/.test(node.name)).map((node) => Number(node.name[1])),
+    };
+}
+
+/**
+ * Audits the pages of the output directory.
+ * @param {string} outputDir Output directory.
+ * @param {string} siteUrl Site URL.
+ * @param {Object} options SEO audit options (see `defaultSeoAuditOptions`).
+ * @returns {{url: string, title: string, description: string, issues: {check: string, message: string}[]}[]} Audit results of each page.
+ */
+function auditPages(outputDir, siteUrl, options = {}) {
+    const { file: reportFile, titleLength, descriptionLength, exclude } = { ...defaultSeoAuditOptions, ...options };
+    const pages = outputPages(outputDir)
+        .filter(({ file, url }) => file !== reportFile && !exclude.some((prefix) => url.startsWith(prefix)))
+        .map(({ file, url }) => ({ url, ...pageSeoData(fs.readFileSync(path.join(outputDir, file), 'utf-8'), siteUrl) }));
+    const byUrl = new Map(pages.map((page) => [page.url, page]));
+    const lengthIssue = (name, text, [min, max]) =>
+        text.length === 0 ? `missing ${name}` : text.length < min || text.length > max ? `${name} length ${text.length} (recommended ${min} to ${max})` : null;
+    return pages.map((page) => {
+        const issues = [];
+        const issue = (check, message) => message && issues.push({ check, message });
+        issue('title', lengthIssue('title', page.title, titleLength));
+        issue('description', lengthIssue('description', page.description, descriptionLength));
+        issue('canonical', page.canonical === null ? 'missing canonical link' : page.canonical !== page.url ? `canonical link to ${page.canonical}` : null);
+        for (const alternate of page.alternates.filter((link) => link.url.startsWith('/'))) {
+            const target = byUrl.get(alternate.url);
+            if (!target) {
+                issue('hreflang', `alternate ${alternate.hreflang} page ${alternate.url} not found`);
+            } else if (alternate.url !== page.url && !target.alternates.some((link) => link.url === page.url)) {
+                issue('hreflang', `alternate ${alternate.hreflang} page ${alternate.url} does not link back`);
+            }
+        }
+        if (page.alternates.length > 0 && !page.alternates.some((link) => link.url === page.url)) {
+            issue('hreflang', 'no self-referencing alternate link');
+        }
+        for (const src of page.imagesWithoutAlt) {
+            issue('alt', `image without alt text: ${src}`);
+        }
+        const h1Count = page.headings.filter((level) => level === 1).length;
+        issue('headings', h1Count !== 1 ? `${h1Count} h1 headings` : null);
+        page.headings.forEach((level, index) => {
+            if (index > 0 && level > page.headings[index - 1] + 1) {
+                issue('headings', `h${level} after h${page.headings[index - 1]}`);
+            }
+        });
+        return { url: page.url, title: page.title, description: page.description, issues };
+    });
+}
+
+/**
+ * Renders the audit report section.
+ * @param {{url: string, title: string, description: string, issues: {check: string, message: string}[]}[]} results Audit results.
+ * @param {string} siteUrl Site URL.
+ * @returns {string} Report HTML.
+ */
+function seoAuditHtml(results, siteUrl) {
+    const checks = ['title', 'description', 'canonical', 'hreflang', 'alt', 'headings'];
+    const issueCount = results.reduce((count, result) => count + result.issues.length, 0);
+    const rows = results.map(({ url, title, description, issues }) => {
+        const cells = checks.map((check) => {
+            const messages = issues.filter((issue) => issue.check === check).map((issue) => escapeHtml(issue.message));
+            const value = check === 'title' ? title.length : check === 'description' ? description.length : '';
+            return messages.length > 0 ? `<td class="seo-issue">${messages.join('<br>')}</td>` : `<td class="seo-ok">${value || '✓'}</td>`;
+        });
+        return `<tr><th scope="row"><a href="${escapeHtml(siteUrl + url)}">${escapeHtml(url)}</a></th>${cells.join('')}</tr>`;
+    });
+    return [
+        '<section id="audit">',
+        `<h2>Offline audit</h2>`,
+        `<p>${results.length} pages audited, ${issueCount} issues found.</p>`,
+        '<table class="seo-audit">',
+        `<thead><tr><th scope="col">Page</th>${checks.map((check) => `<th scope="col">${check}</th>`).join('')}</tr></thead>`,
+        `<tbody>${rows.join('\n')}</tbody>`,
+        '</table>',
+        '</section>',
+    ].join('\n');
+}
+
+/**
+ * Audits the pages of the output directory and writes the report in the
+ * placeholder of the report page.
+ * @param {string} outputDir Output directory.
+ * @param {string} siteUrl Site URL.
+ * @param {Object} options SEO audit options (see `defaultSeoAuditOptions`).
+ * @returns {{file: string, pages: number, issues: number}} Report page, number of pages audited and of issues found.
+ */
+function writeSeoAudit(outputDir, siteUrl, options = {}) {
+    const { file, placeholder } = { ...defaultSeoAuditOptions, ...options };
+    const reportPath = path.join(outputDir, file);
+    if (!fs.existsSync(reportPath)) {
+        throw new Error('writeSeoAudit: report page not found: ' + util.inspect(reportPath, { compact: true, colors: true }));
+    }
+    const html = fs.readFileSync(reportPath, 'utf-8');
+    if (!html.includes(placeholder)) {
+        throw new Error('writeSeoAudit: placeholder not found in the report page: ' + util.inspect(placeholder, { compact: true, colors: true }));
+    }
+    const results = auditPages(outputDir, siteUrl, options);
+    fs.writeFileSync(
+        reportPath,
+        html.replace(placeholder, () => seoAuditHtml(results, siteUrl)),
+    );
+    return { file, pages: results.length, issues: results.reduce((count, result) => count + result.issues.length, 0) };
+}
+
+export { defaultSeoAuditOptions, pageSeoData, auditPages, seoAuditHtml, writeSeoAudit };
+export default {
+    defaultSeoAuditOptions,
+    pageSeoData,
+    auditPages,
+    seoAuditHtml,
+    writeSeoAudit,
+};
@@ -0,0 +1,209 @@
+/**
+ * SitemapUtil.mjs
+ * ===============
+ *
+ * This file contains tools to build the sitemap of a static site from the
+ * Eleventy page collection:
+ *
+ *  - the `lastmod` date of a page, the date of the last commit of its source
+ *    files: the input template, its layouts and included templates, the
+ *    global data files referenced by the templates (with the files imported
+ *    by them) and the other source files given by the page;
+ *  - the `hreflang` alternates of a localized page, the pages of the other
+ *    locales with the same path.
+ *
+ * These tools were designed for use at build time in projects with Eleventy.
+ *
+ * MIT License, Copyright (c) 2016-2026 Sergio Lindau, mathjslab.com
+ */
+
+/**
+ * @module SitemapUtil
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import util from 'node:util';
+
+import EleventyUtil from './EleventyUtil.mjs';
+
+/**
+ * Template names of the `include`, `extends`, `import` and `from` tags of a
+ * Nunjucks template: string literals, or data keys of the page.
+ */
+const includePattern = /{%-?\s*(?:include|extends|import|from)\s+(?:(["'])([^"']+)\1|([A-Za-z_$][\w$]*))/g;
+
+/**
+ * Layout of a template, declared in its front matter.
+ */
+const layoutPattern = /^---[\s\S]*?["']?layout["']?\s*:\s*["']?([^"',\s]+)["']?[\s\S]*?^---/m;
+
+/**
+ * Relative imports of a JavaScript data file (`from './file.js'` and
+ * `new URL('./file.json', import.meta.url)`).
+ */
+const importPattern = /(?:from\s+|import\s*\(\s*|new URL\(\s*)(["'])(\.{1,2}\/[^"']+)\1/g;
+
+/**
+ * Lists the template files of a page: the input template, its layouts and the
+ * included templates, recursively.
+ * @param {string} inputPath Input template path.
+ * @param {Object} data Page data (`layout` and the data keys of dynamic includes).
+ * @param {{includes: string, layouts: string}} directories Eleventy directories.
+ * @returns {string[]} Template file paths.
+ */
+function templateDependencies(inputPath, data, directories) {
+    const files = new Set();
+    const visit = (file) => {
+        if (files.has(file) || !fs.existsSync(file)) {
+            return;
+        }
+        files.add(file);
+        const source = fs.readFileSync(file, 'utf-8');
+        const layout = file === inputPath ? data.layout : (layoutPattern.exec(source) || [])[1];
+        if (layout) {
+            visit(path.join(directories.layouts || directories.includes, layout));
+        }
+        for (const [, , name, key] of source.matchAll(includePattern)) {
+            const include = name || (typeof data[key] === 'string' ? data[key] : null);
+            if (include) {
+                visit(path.join(directories.includes, include));
+            }
+        }
+    };
+    visit(path.normalize(inputPath));
+    return [...files];
+}
+
+/**
+ * Lists the global data files referenced by templates, with the data files
+ * imported by them, recursively. A data file is referenced by its name (the
+ * global data key) in the front matter or in the tags of a template. Data
+ * files named `<name>-<part>` (as `i18n-en.js`) are parts of the `<name>` data
+ * file; if `lang` is given and its part exists, the parts of the other locales
+ * are not listed.
+ * @param {string[]} templates Template file paths.
+ * @param {string} dataDir Data directory.
+ * @param {string} [lang] Page locale.
+ * @returns {string[]} Data file paths.
+ */
+function dataDependencies(templates, dataDir, lang) {
+    const dataFiles = fs.readdirSync(dataDir).filter((file) => /\.(js|mjs|cjs|json)$/.test(file));
+    const key = (file) => file.replace(/\.[^.]+$/, '');
+    const isLocalePart = (file) => /-[a-z]{2,3}(-[A-Za-z]{2,4})?$/.test(key(file));
+    // Template code: the front matter (as the pagination data) and the tags and expressions.
+    const sources = templates
+        .map((file) => fs.readFileSync(file, 'utf-8'))
+        .flatMap((source) => [...source.matchAll(/^---[\s\S]*?^---|{[{%][\s\S]*?[}%]}/gm)].map((match) => match[0]))
+        .join('\n');
+    const files = new Set();
+    const visit = (file) => {
+        if (files.has(file) || !fs.existsSync(file)) {
+            return;
+        }
+        files.add(file);
+        const name = key(path.basename(file));
+        const parts = dataFiles.filter((part) => key(part).startsWith(name + '-'));
+        const localized = Boolean(lang) && parts.some((part) => key(part) === `${name}-${lang}`);
+        for (const part of parts.filter((part) => !localized || !isLocalePart(part) || key(part) === `${name}-${lang}`)) {
+            visit(path.join(dataDir, part));
+        }
+        if (/\.[mc]?js$/.test(file)) {
+            for (const [, , specifier] of fs.readFileSync(file, 'utf-8').matchAll(importPattern)) {
+                const imported = path.join(path.dirname(file), specifier);
+                if (path.dirname(imported) === path.normalize(dataDir)) {
+                    visit(imported);
+                }
+            }
+        }
+    };
+    for (const file of dataFiles.filter((file) => /^[A-Za-z_$][\w$]*$/.test(key(file)))) {
+        if (new RegExp(`\\b${key(file)}\\b`).test(sources)) {
+            visit(path.join(dataDir, file));
+        }
+    }
+    return [...files];
+}
+
+/**
+ * Last commit dates by file list.
+ */
+const lastmodCache = new Map();
+
+/**
+ * Gets the date of the last commit of files.
+ * @param {string[]} files File paths.
+ * @returns {string} Date (`YYYY-MM-DD`), or an empty string if the files have no commits.
+ */
+function gitLastmod(files) {
+    const cacheKey = [...files].sort().join('\n');
+    if (!lastmodCache.has(cacheKey)) {
+        lastmodCache.set(cacheKey, files.length > 0 ? EleventyUtil.git('log', '-1', '--format=%cs', '--', ...files) : '');
+    }
+    return lastmodCache.get(cacheKey);
+}
+
+/**
+ * Lists the alternate pages of a localized page: the pages of the other
+ * locales with the same path after the locale segment (`/<lang>/...`), and
+ * the `x-default` page of the default locale.
+ * @param {*} item Collection item of the page (with the `lang` data).
+ * @param {*[]} items Collection items.
+ * @param {{locales: string[], defaultLocale: string, pages: Object}} i18n Locales, default locale and locale data (with `htmlLang`).
+ * @returns {{hreflang: string, url: string}[]} Alternates (empty if the page has no alternates).
+ */
+function pageAlternates(item, items, i18n) {
+    const lang = item.data.lang;
+    const prefix = `/${lang}/`;
+    if (!lang || !item.url.startsWith(prefix)) {
+        return [];
+    }
+    const urls = new Set(items.map((other) => other.url));
+    const localeUrl = (locale) => `/${locale}/` + item.url.substring(prefix.length);
+    const alternates = i18n.locales.filter((locale) => urls.has(localeUrl(locale))).map((locale) => ({ hreflang: i18n.pages[locale].htmlLang, url: localeUrl(locale) }));
+    if (alternates.length < 2) {
+        return [];
+    }
+    if (urls.has(localeUrl(i18n.defaultLocale))) {
+        alternates.push({ hreflang: 'x-default', url: localeUrl(i18n.defaultLocale) });
+    }
+    return alternates;
+}
+
+/**
+ * Sitemap filters (`pageLastmod` and `pageAlternates`) of collection items.
+ * The `pageLastmod` filter takes, after the item, the paths (relative to
+ * `input`) of other source files of the page, as the documents rendered by a
+ * paginated template; empty paths are ignored.
+ * @param {{input: string, data: string, includes: string, layouts: string}} directories Eleventy directories (`data`, `includes` and `layouts` relative to `input`).
+ * @returns {Object} Filters.
+ */
+function sitemapFilters(directories) {
+    const resolved = {
+        includes: path.join(directories.input, directories.includes),
+        layouts: path.join(directories.input, directories.layouts || directories.includes),
+        data: path.join(directories.input, directories.data),
+    };
+    if (!fs.existsSync(resolved.data)) {
+        throw new Error('sitemapFilters: data directory not found: ' + util.inspect(resolved.data, { compact: true, colors: true }));
+    }
+    return {
+        pageLastmod: function (item, ...files) {
+            const templates = templateDependencies(item.inputPath, item.data, resolved);
+            const sources = files.filter(Boolean).map((file) => path.join(directories.input, file));
+            return gitLastmod([...templates, ...dataDependencies(templates, resolved.data, item.data.lang), ...sources]);
+        },
+        pageAlternates: function (item, items, i18n) {
+            return pageAlternates(item, items, i18n);
+        },
+    };
+}
+
+export { templateDependencies, dataDependencies, gitLastmod, pageAlternates, sitemapFilters };
+export default {
+    templateDependencies,
+    dataDependencies,
+    gitLastmod,
+    pageAlternates,
+    sitemapFilters,
+};
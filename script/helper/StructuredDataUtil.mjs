@@ -0,0 +1,242 @@
+/**
+ * StructuredDataUtil.mjs
+ * ======================
+ *
+ * This file contains tools to validate the structured data (JSON-LD) of the
+ * rendered pages of a static site: an HTML transform extracts every
+ * `<script type="application/ld+json">` block of a page, parses it as strict
+ * JSON and validates its nodes against a bundled subset of schema.org rules
+ * (`schemaRules`), failing the build with the page, block and path of each
+ * error. Nodes of types without rules are not validated.
+ *
+ * These tools were designed for use at build time in projects with Eleventy.
+ *
+ * MIT License, Copyright (c) 2016-2026 Sergio Lindau, mathjslab.com
+ */
+
+/**
+ * @module StructuredDataUtil
+ */
+
+import { parseDocument, DomUtils } from 'htmlparser2';
+
+/**
+ * Schema.org rules of the validated types: the required properties and the
+ * value type of the known properties. Value types are `text` (non-empty
+ * string), `url` (absolute URL), `language` (BCP 47 tag), `date` (ISO 8601),
+ * `integer`, `number`, `reference` (node or `@id` reference) and type names
+ * (node of the type or `@id` reference). The `[]` suffix accepts an array of
+ * values. Other properties are not validated.
+ */
+const schemaRules = {
+    WebSite: {
+        required: ['@id', 'url', 'name'],
+        properties: { url: 'url', name: 'text', publisher: 'reference' },
+    },
+    WebPage: {
+        required: ['@id', 'url', 'name', 'inLanguage'],
+        properties: { url: 'url', name: 'text', description: 'text', inLanguage: 'language', isPartOf: 'reference', about: 'reference', mainEntity: 'reference' },
+    },
+    SoftwareApplication: {
+        required: ['name', 'applicationCategory', 'operatingSystem'],
+        properties: {
+            url: 'url',
+            name: 'text',
+            description: 'text',
+            applicationCategory: 'text',
+            operatingSystem: 'text',
+            inLanguage: 'language',
+            license: 'url',
+            offers: 'Offer',
+            author: 'reference',
+            publisher: 'reference',
+            isPartOf: 'reference',
+        },
+    },
+    ItemList: {
+        required: ['itemListElement'],
+        properties: { name: 'text', numberOfItems: 'integer', itemListElement: 'ListItem[]' },
+    },
+    ListItem: {
+        required: ['position', 'item'],
+        properties: { position: 'integer', item: 'reference' },
+    },
+    Organization: {
+        required: ['name', 'url'],
+        properties: { name: 'text', url: 'url', logo: 'ImageObject', sameAs: 'url[]' },
+    },
+    Person: {
+        required: ['name'],
+        properties: { name: 'text', url: 'url' },
+    },
+    ImageObject: {
+        required: ['url'],
+        properties: { url: 'url', width: 'integer', height: 'integer' },
+    },
+    Offer: {
+        required: ['price'],
+        properties: { price: 'number' },
+    },
+    ScholarlyArticle: {
+        required: ['headline', 'url'],
+        properties: { url: 'url', headline: 'text', name: 'text', description: 'text', author: 'Person', datePublished: 'date', numberOfPages: 'integer', encoding: 'MediaObject' },
+    },
+    MediaObject: {
+        required: ['contentUrl'],
+        properties: { contentUrl: 'url', encodingFormat: 'text' },
+    },
+};
+
+/**
+ * Formats a JSON path (`$['@graph'][0].url`).
+ * @param {(string|number)[]} keys Property names and array indexes.
+ * @returns {string} Path.
+ */
+function jsonPath(keys) {
+    return '$' + keys.map((key) => (typeof key === 'number' ? `[${key}]` : /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `['${key}']`)).join('');
+}
+
+/**
+ * Tests an absolute URL.
+ * @param {*} value Value.
+ * @returns {boolean} `true` if the value is an absolute HTTP(S) URL.
+ */
+function isUrl(value) {
+    return typeof value === 'string' && URL.canParse(value) && /^https?:$/.test(new URL(value).protocol);
+}
+
+/**
+ * Validates a property value against a value type of `schemaRules`.
+ * @param {*} value Value.
+ * @param {string} type Value type.
+ * @returns {string|null} Error message, or `null` if the value is valid.
+ */
+function valueError(value, type) {
+    if (type.endsWith('[]')) {
+        const itemType = type.slice(0, -2);
+        if (!Array.isArray(value)) {
+            return valueError(value, itemType);
+        }
+        return value.map((item) => valueError(item, itemType)).find((error) => error !== null) || null;
+    }
+    switch (type) {
+        case 'text':
+            return typeof value === 'string' && value.trim().length > 0 ? null : 'expected a non-empty text';
+        case 'url':
+            return isUrl(value) ? null : 'expected an absolute URL';
+        case 'language':
+            return typeof value === 'string' && /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(value) ? null : 'expected a language tag';
+        case 'date':
+            return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/.test(value) && !isNaN(Date.parse(value)) ? null : 'expected an ISO 8601 date';
+        case 'integer':
+            return Number.isInteger(value) ? null : 'expected an integer';
+        case 'number':
+            return typeof value === 'number' && isFinite(value) ? null : 'expected a number';
+        default:
+            if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                return type === 'reference' ? 'expected a node or reference' : `expected a ${type} node or reference`;
+            }
+            if (!('@type' in value)) {
+                return '@id' in value ? null : 'expected @type or @id';
+            }
+            return type === 'reference' || value['@type'] === type ? null : `expected a ${type} node`;
+    }
+}
+
+/**
+ * Validates a JSON-LD document: the `@context` is schema.org, the `@id` of
+ * every node is an absolute URL, and the nodes of the types of `schemaRules`
+ * have the required properties with valid values.
+ * @param {*} data JSON-LD document.
+ * @returns {{path: string, message: string}[]} Errors.
+ */
+function validateJsonLd(data) {
+    const errors = [];
+    const error = (keys, message) => errors.push({ path: jsonPath(keys), message });
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        error([], 'expected an object');
+        return errors;
+    }
+    if (!/^https?:\/\/schema\.org\/?$/.test(data['@context'])) {
+        error(['@context'], 'expected https://schema.org');
+    }
+    const visit = (value, keys) => {
+        if (Array.isArray(value)) {
+            value.forEach((item, index) => visit(item, [...keys, index]));
+            return;
+        }
+        if (value === null || typeof value !== 'object') {
+            return;
+        }
+        if ('@id' in value && !isUrl(value['@id'])) {
+            error([...keys, '@id'], 'expected an absolute URL');
+        }
+        const rules = schemaRules[value['@type']];
+        if (rules) {
+            for (const property of rules.required) {
+                if (!(property in value)) {
+                    error(keys, `missing required property "${property}" of ${value['@type']}`);
+                }
+            }
+            for (const [property, type] of Object.entries(rules.properties)) {
+                const message = property in value ? valueError(value[property], type) : null;
+                if (message) {
+                    error([...keys, property], message);
+                }
+            }
+        }
+        for (const [key, child] of Object.entries(value)) {
+            visit(child, [...keys, key]);
+        }
+    };
+    visit(data, []);
+    return errors;
+}
+
+/**
+ * Validates the JSON-LD blocks of an HTML document.
+ * @param {string} html HTML document.
+ * @returns {{block: number, path: string, message: string}[]} Errors, with the one-based index of the block.
+ */
+function validateHtmlJsonLd(html) {
+    const scripts = DomUtils.findAll((node) => node.name === 'script' && node.attribs.type === 'application/ld+json', parseDocument(html).children);
+    return scripts.flatMap((script, index) => {
+        const text = DomUtils.textContent(script);
+        let data;
+        try {
+            // Strict JSON parser (`JSON.parse` may be replaced by a JSON5 parser, which accepts trailing commas).
+            data = (JSON.parseJSON || JSON.parse)(text);
+        } catch (err) {
+            const position = /at position (\d+)/.exec(err.message);
+            const lines = position ? text.substring(0, Number(position[1])).split('\n') : [];
+            return [{ block: index + 1, path: '$', message: position ? `${err.message} (line ${lines.length}, column ${lines[lines.length - 1].length + 1})` : err.message }];
+        }
+        return validateJsonLd(data).map((error) => ({ block: index + 1, ...error }));
+    });
+}
+
+/**
+ * Adds the `structuredData` HTML transform to the configuration, which fails
+ * the build if the JSON-LD of a page is invalid.
+ * @param {*} eleventyConfig
+ */
+function configAddStructuredDataTransform(eleventyConfig) {
+    eleventyConfig.addTransform('structuredData', function (content) {
+        if (!(this.page.outputPath || '').endsWith('.html')) {
+            return content;
+        }
+        const errors = validateHtmlJsonLd(content);
+        if (errors.length > 0) {
+            throw new Error(`structuredData: invalid JSON-LD in ${this.page.outputPath}:\n` + errors.map(({ block, path, message }) => `  block ${block}, ${path}: ${message}`).join('\n'));
+        }
+        return content;
+    });
+}
+
+export { schemaRules, validateJsonLd, validateHtmlJsonLd, configAddStructuredDataTransform };
+export default {
+    schemaRules,
+    validateJsonLd,
+    validateHtmlJsonLd,
+    configAddStructuredDataTransform,
+};
@@ -0,0 +1,26 @@
+/**
+ * check-i18n.mjs: This script checks the completeness of the locale sources
+ * (`data/i18n-*.js`) against the default locale, reporting missing, extra and
+ * type-mismatched keys per locale (see `I18nUtil.mjs`). With the `--strict`
+ * option (or the `I18N_STRICT=true` environment variable) it exits with an
+ * error if there are issues.
+ *
+ * ```
+ * node script/helper/check-i18n.mjs [--strict]
+ * ```
+ */
+import { fileURLToPath } from 'node:url';
+
+const filename = fileURLToPath(import.meta.url);
+globalThis.console.log(`Running ${filename} ...`);
+if (process.argv.includes('--strict')) {
+    process.env.I18N_STRICT = 'true';
+}
+try {
+    const { default: i18n } = await import('../../data/i18n.js');
+    globalThis.console.log(`Locales checked against "${i18n.defaultLocale}": ${i18n.locales.join(', ')}. Issues found: ${i18n.issues.length}.`);
+    globalThis.console.log(`Running ${filename} done.\r\n`);
+} catch (err) {
+    globalThis.console.error(err.message);
+    process.exitCode = 1;
+}